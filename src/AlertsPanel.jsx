@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { X, Plus, Trash2, Pencil, ChevronDown, BellRing } from 'lucide-react';
+import { RULE_TYPES, SEVERITIES, getSeverity, createRule } from './alertRules';
+import { MONTH_LABELS } from './timeSeries';
+import { useI18n } from './i18n';
+import useAsyncAction from './useAsyncAction';
+
+const inputClass = "w-full appearance-none bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm";
+
+/**
+ * Panel de alertas: conteo de filas por regla y edición de las reglas compartidas.
+ */
+const AlertsPanel = ({ rules, counts, total, rowCount, shared, canEdit = true, onSave, onDelete, onClose }) => {
+  const { t, formatNumber } = useI18n();
+  const [editing, setEditing] = useState(null);
+  const { error, run } = useAsyncAction();
+
+  const startNew = () => {
+    const rule = createRule();
+    setEditing({ ...rule, name: t(rule.name) });
+  };
+  const saveDraft = async (rule) => {
+    if (await run(() => onSave(rule))) setEditing(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></div>
+            {t('Alertas · {total} de {rows} filas', { total: formatNumber(total), rows: formatNumber(rowCount) })}
+          </h3>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <p className="mb-6 text-xs font-bold text-red-500">{error}</p>}
+
+        <div className="space-y-4">
+          {rules.map(rule => editing?.id === rule.id ? (
+            <RuleEditor key={rule.id} rule={editing} onChange={setEditing} onSave={saveDraft} onCancel={() => setEditing(null)} />
+          ) : (
+            <RuleRow
+              key={rule.id}
+              rule={rule}
+              count={counts[rule.id] || 0}
+              canEdit={canEdit}
+              onToggle={() => run(() => onSave({ ...rule, enabled: !rule.enabled }))}
+              onEdit={() => setEditing(rule)}
+              onDelete={() => run(() => onDelete(rule.id))}
+            />
+          ))}
+          {editing && !rules.some(r => r.id === editing.id) && (
+            <RuleEditor rule={editing} onChange={setEditing} onSave={saveDraft} onCancel={() => setEditing(null)} />
+          )}
+        </div>
+
+        <div className="mt-8 flex items-center justify-between gap-4">
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+            {shared ? t('Reglas compartidas con el equipo') : t('Reglas solo en esta sesión')}
+            {!canEdit && ` · ${t('La edición requiere rol de analista')}`}
+          </p>
+          {canEdit && (
+            <button
+              onClick={startNew}
+              disabled={!!editing}
+              className="flex items-center gap-2 px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all"
+            >
+              <Plus size={14} /> {t('NUEVA REGLA')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const RuleRow = ({ rule, count, canEdit, onToggle, onEdit, onDelete }) => {
+  const { t, formatNumber } = useI18n();
+  const severity = getSeverity(rule.severity);
+  const type = RULE_TYPES[rule.type];
+  return (
+    <div className={`flex items-center gap-4 border border-slate-200 rounded-[2rem] p-5 ${rule.enabled ? '' : 'opacity-50'}`}>
+      <div className="w-10 h-10 rounded-2xl flex items-center justify-center text-white shrink-0" style={{ backgroundColor: severity.color }}>
+        <BellRing size={16} />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-black text-slate-700 leading-tight truncate">{t(rule.name)}</p>
+        <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">
+          {t(severity.label)} · {type ? type.describe(rule.params, t) : t('Tipo desconocido')}
+        </p>
+      </div>
+      <span className="text-2xl font-black text-slate-900 tabular-nums">{formatNumber(count)}</span>
+      {canEdit && (
+        <>
+          <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest cursor-pointer">
+            <input type="checkbox" checked={rule.enabled} onChange={onToggle} className="accent-blue-600" />
+            {t('Activa')}
+          </label>
+          <button onClick={onEdit} aria-label={t('Editar regla')} className="w-9 h-9 rounded-xl bg-slate-100 text-slate-500 hover:text-blue-600 flex items-center justify-center transition-colors">
+            <Pencil size={14} />
+          </button>
+          <button onClick={onDelete} aria-label={t('Eliminar regla')} className="w-9 h-9 rounded-xl bg-slate-100 text-slate-500 hover:text-red-500 flex items-center justify-center transition-colors">
+            <Trash2 size={14} />
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const RuleEditor = ({ rule, onChange, onSave, onCancel }) => {
+  const { t } = useI18n();
+  const type = RULE_TYPES[rule.type];
+  const changeType = (key) => onChange({
+    ...rule,
+    type: key,
+    params: Object.fromEntries(RULE_TYPES[key].params.map(p => [p.key, rule.params[p.key] ?? (p.type === 'month' ? 0 : 50)]))
+  });
+  const setParam = (key, value) => onChange({ ...rule, params: { ...rule.params, [key]: value } });
+
+  return (
+    <div className="border-2 border-blue-200 bg-blue-50/50 rounded-[2rem] p-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Field label={t('Nombre')}>
+          <input value={rule.name} onChange={(e) => onChange({ ...rule, name: e.target.value })} className={inputClass} />
+        </Field>
+        <Field label={t('Condición')}>
+          <Select value={rule.type} onChange={changeType}>
+            {Object.entries(RULE_TYPES).map(([key, ruleType]) => <option key={key} value={key}>{t(ruleType.label)}</option>)}
+          </Select>
+        </Field>
+        {type.params.map(param => (
+          <Field key={param.key} label={t(param.label)}>
+            {param.type === 'month' ? (
+              <Select value={rule.params[param.key]} onChange={(value) => setParam(param.key, Number(value))}>
+                {MONTH_LABELS.map((month, i) => <option key={month} value={i}>{t(month)}</option>)}
+              </Select>
+            ) : (
+              <input type="number" min="0" value={rule.params[param.key]} onChange={(e) => setParam(param.key, Number(e.target.value))} className={inputClass} />
+            )}
+          </Field>
+        ))}
+        <Field label={t('Severidad')}>
+          <Select value={rule.severity} onChange={(value) => onChange({ ...rule, severity: value })}>
+            {SEVERITIES.map(s => <option key={s.key} value={s.key}>{t(s.label)}</option>)}
+          </Select>
+        </Field>
+      </div>
+      <div className="mt-6 flex justify-end gap-3">
+        <button onClick={onCancel} className="px-6 py-3 rounded-2xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">{t('CANCELAR')}</button>
+        <button
+          onClick={() => onSave(rule)}
+          disabled={!rule.name.trim()}
+          className="px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all"
+        >
+          {t('GUARDAR')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{label}</label>
+    {children}
+  </div>
+);
+
+const Select = ({ value, onChange, children }) => (
+  <div className="relative">
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} pr-12`}>
+      {children}
+    </select>
+    <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+  </div>
+);
+
+export default AlertsPanel;
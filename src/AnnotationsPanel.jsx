@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { X, CheckCircle2, RotateCcw, MessageSquare } from 'lucide-react';
+import { useI18n } from './i18n';
+import useAsyncAction from './useAsyncAction';
+
+/**
+ * Hilo de comentarios de un registro o agregado, con estado abierto/resuelto.
+ */
+const AnnotationsPanel = ({ target, thread, canAnnotate, onComment, onSetStatus, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const [text, setText] = useState('');
+  const { error, busy, run } = useAsyncAction();
+  const comments = thread?.comments || [];
+  const resolved = thread?.status === 'resolved';
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await run(() => onComment(text.trim()))) setText('');
+  };
+
+  const setStatus = (status) => run(() => onSetStatus(status));
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-start justify-between gap-6 mb-8">
+          <div className="min-w-0">
+            <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+              <div className={`w-2 h-2 rounded-full ${resolved ? 'bg-slate-400' : 'bg-amber-500 animate-pulse'}`}></div>
+              {t('Comentarios')} · {thread ? (resolved ? t('Resuelto') : t('Abierto')) : t('Sin comentarios')}
+            </h3>
+            <p className="text-sm font-black text-slate-700 mt-3 leading-tight">{target.label}</p>
+          </div>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 shrink-0 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <p className="mb-6 text-xs font-bold text-red-500">{error}</p>}
+
+        <div className="space-y-4">
+          {comments.map(comment => (
+            <div key={comment.id} className="border border-slate-200 rounded-[2rem] p-5">
+              <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                {comment.authorName} · {formatDate(comment.createdAt)}
+              </p>
+              <p className="text-sm text-slate-700 mt-2 whitespace-pre-wrap">{comment.text}</p>
+            </div>
+          ))}
+          {comments.length === 0 && (
+            <div className="text-center py-8 text-slate-400">
+              <MessageSquare className="mx-auto mb-3" size={28} />
+              <p className="text-[10px] font-black uppercase tracking-widest">{t('Aún no hay comentarios')}</p>
+            </div>
+          )}
+        </div>
+
+        {canAnnotate ? (
+          <form onSubmit={submit} className="mt-8">
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={3}
+              placeholder={t('Escribe un comentario...')}
+              className="w-full bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+            />
+            <div className="mt-4 flex justify-between gap-3">
+              {thread ? (
+                <button
+                  type="button"
+                  onClick={() => setStatus(resolved ? 'open' : 'resolved')}
+                  className="flex items-center gap-2 px-5 py-3 rounded-2xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all"
+                >
+                  {resolved ? <><RotateCcw size={14} /> {t('REABRIR')}</> : <><CheckCircle2 size={14} /> {t('MARCAR RESUELTO')}</>}
+                </button>
+              ) : <span />}
+              <button
+                type="submit"
+                disabled={busy || !text.trim()}
+                className="px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all"
+              >
+                {t('COMENTAR')}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <p className="mt-8 text-[10px] font-black text-slate-400 uppercase tracking-widest">{t('Comentar requiere rol de analista')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationsPanel;
@@ -1,12 +1,47 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useState, useMemo, useRef, useCallback } from 'react';
 import { initializeApp, getApps, getApp } from 'firebase/app';
-import { getFirestore, collection, onSnapshot } from 'firebase/firestore';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { 
-  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, 
-  PieChart, Pie, Cell 
-} from 'recharts';
-import { Landmark, TrendingUp, Wallet, ShieldAlert, Key, ArrowUpRight, Activity, Database, ChevronDown, ChevronUp, ArrowUpDown } from 'lucide-react';
+import { Landmark, TrendingUp, Wallet, FileEdit, ClipboardCheck, Receipt, BadgeCheck, ShieldAlert, Key, ArrowUpRight, Activity, Database, ChevronDown, ChevronUp, ArrowUpDown, Upload, Cloud, HardDrive, ChevronRight, BellRing, SlidersHorizontal, CloudOff, History, UserCircle, LogIn, LogOut, Users, MessageSquare, Coins } from 'lucide-react';
+import { getBudgetCollection, createFirestoreSource, createLocalSource, computeAvance, computeDelta, stageLabel, refKey, BUDGET_STAGES, AVANCE_BASES, SERVER_SORT_FIELDS } from './dataSources';
+import ImportPanel from './ImportPanel';
+import AlertsPanel from './AlertsPanel';
+import FiltersPanel from './FiltersPanel';
+import useVirtualRows from './useVirtualRows';
+import ChangesPanel from './ChangesPanel';
+import LoginScreen from './LoginScreen';
+import UsersPanel from './UsersPanel';
+import AnnotationsPanel from './AnnotationsPanel';
+import DataQualityView from './DataQualityView';
+import DisplaySettingsPanel from './DisplaySettingsPanel';
+import ForecastPanel from './ForecastPanel';
+import LayoutPanel from './LayoutPanel';
+import ComparisonPanel from './ComparisonPanel';
+import DashboardWidget from './DashboardWidget';
+import TrendView from './TrendView';
+import TreemapView from './TreemapView';
+import PrintReport from './PrintReport';
+import ExportMenu from './ExportMenu';
+import { ChartBox, StagesFunnelChart } from './Charts';
+import { MetricCard, AvanceGauge, DeltaValue, DeltaCell } from './MetricCards';
+import { hasPermission, getRoleLabel, subscribeProfile, saveProfile, saveUserLocale, signOutUser } from './auth';
+import { getSnapshotKey, toSnapshot, loadSnapshot, saveSnapshot, diffSnapshots, loadLocalDatasets, saveLocalDatasets, loadCount, saveCount } from './offlineCache';
+import { MONTH_LABELS, addMonthly, getCutoffMonth, computeCalendarProgress } from './timeSeries';
+import { DEFAULT_VIEW_STATE, parseViewState, serializeViewState } from './urlState';
+import { HIERARCHY, matchesPath, getLevelValue, getLevelLabel, getAvailableLevels, validatePath, groupByLevel } from './hierarchy';
+import { matchesRecordFilters, matchesRanges, countActiveFilters, getServerFilters, createFirestorePresetStore, createLocalPresetStore } from './filters';
+import { DEFAULT_RULES, getSeverity, getReferenceMonth, computeRamoTotals, evaluateRules, highestSeverity, createFirestoreRuleStore, createLocalRuleStore } from './alertRules';
+import { recordTarget, pathTarget, createComment, createFirestoreAnnotationStore, createLocalAnnotationStore } from './annotations';
+import { validateRecords, withoutInvalid } from './dataQuality';
+import { loadDisplaySettings, saveDisplaySettings, getDisplayFactor, getEstimatedInpcYears, deflateRecord, formatAmount, formatAxisAmount, defaultFormatMoney, describeDisplay } from './displaySettings';
+import { DEFAULT_FORECAST, buildDatasetProfile, projectAggregate, buildForecastFields, withForecast, groupForecast } from './forecast';
+import {
+  AUTO_GROUPING, DEFAULT_LAYOUT, createWidget, normalizeLayout, isSameLayout,
+  updateWidget, removeWidget, moveWidget, rankGroups, getLastOpened, pinPath, loadDashboardLayout, saveDashboardLayout,
+  createFirestoreLayoutStore, createLocalLayoutStore
+} from './dashboardLayouts';
+import { getExportColumns, buildExportFileName, exportToCSV, exportToXLSX } from './exporters';
+import { LOCALES, I18nContext, createI18n, useI18n, loadLocale, saveLocale } from './i18n';
 
 /**
  * Firebase Configuration Loader
@@ -38,44 +73,285 @@ const getFirebaseConfig = () => {
 const firebaseConfig = getFirebaseConfig();
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'dashboard-presupuesto-2025';
 
+/**
+ * Ejercicios fiscales disponibles. Cada año vive en su propia colección
+ * `presupuesto_{año}`; la lista se toma de __fiscal_years o VITE_FISCAL_YEARS.
+ */
+const getFiscalYears = () => {
+  let raw = null;
+  if (typeof __fiscal_years !== 'undefined' && __fiscal_years) {
+    raw = __fiscal_years;
+  } else if (typeof import.meta !== 'undefined' && import.meta.env?.VITE_FISCAL_YEARS) {
+    raw = import.meta.env.VITE_FISCAL_YEARS;
+  }
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const years = list.map(y => parseInt(String(y).trim(), 10)).filter(y => Number.isInteger(y));
+  return years.length ? [...new Set(years)].sort((a, b) => b - a) : [2025, 2024, 2023];
+};
+
+const fiscalYears = getFiscalYears();
+
+/**
+ * Colecciones con más registros que este umbral no se descargan completas:
+ * la tabla pagina en Firestore y los totales vienen de agregados del servidor.
+ */
+const getServerQueryThreshold = () => {
+  const raw = typeof __server_query_threshold !== 'undefined' ? __server_query_threshold : import.meta.env?.VITE_SERVER_QUERY_THRESHOLD;
+  const threshold = parseInt(raw, 10);
+  return Number.isInteger(threshold) && threshold > 0 ? threshold : 20000;
+};
+
+const serverQueryThreshold = getServerQueryThreshold();
+const SERVER_PAGE_SIZE = 200;
+
+// Estado de la vista compartible por enlace; el año por defecto es el más reciente
+const viewDefaults = { ...DEFAULT_VIEW_STATE, year: fiscalYears[0] };
+// `years` incluye los importados en este navegador cuando ya se conocen
+const readUrlState = (years = fiscalYears, hash = window.location.hash) => ({ ...viewDefaults, ...parseViewState(hash, { years }) });
+
+// Códigos con los que Firebase rechaza la sesión anónima cuando está deshabilitada
+const ANONYMOUS_DISABLED_ERRORS = ['auth/operation-not-allowed', 'auth/admin-restricted-operation'];
+
 let db = null;
 let auth = null;
 
 if (firebaseConfig) {
   try {
     const app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApp();
-    db = getFirestore(app);
+    // Caché persistente en IndexedDB para consultar sin conexión; si el navegador
+    // no la permite (o ya se inicializó) se usa la instancia por defecto
+    try {
+      db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    } catch (cacheErr) {
+      db = getFirestore(app);
+    }
     auth = getAuth(app);
   } catch (e) {
     console.error("Firebase init error:", e.message);
   }
 }
 
+// Sin proyecto de Firebase el visor arranca con la fuente local (importación de archivos)
+const firestoreSource = db ? createFirestoreSource(db, appId) : null;
+
+// Reglas de alerta: compartidas en Firestore o, sin proyecto, solo en memoria
+const firestoreRuleStore = db ? createFirestoreRuleStore(db, appId) : null;
+const localRuleStore = createLocalRuleStore();
+const localPresetStore = createLocalPresetStore();
+const firestoreAnnotationStore = db ? createFirestoreAnnotationStore(db, appId) : null;
+const localAnnotationStore = createLocalAnnotationStore();
+const localLayoutStore = createLocalLayoutStore();
+
+// Título cuando no hay ruta de exploración
+const ROOT_TITLE = "Dirección General de Mejora Continua 2";
+// Niveles por debajo de Ramo/UR que se muestran como detalle en el Explorador
+const DETAIL_LEVELS = HIERARCHY.slice(2).map(level => level.key);
+
+// Momentos entre el aprobado y el pagado, con su icono en las tarjetas
+const INTERMEDIATE_STAGES = BUDGET_STAGES.filter(stage => stage.key !== 'aprobado' && stage.key !== 'pagado');
+const STAGE_ICONS = {
+  modificado: <FileEdit size={18} />,
+  comprometido: <ClipboardCheck size={18} />,
+  devengado: <Receipt size={18} />,
+  ejercido: <BadgeCheck size={18} />
+};
+
+// Suma cada momento contable; `keyOf` permite sumar las columnas de referencia
+const sumStages = (rows, keyOf = (key) => key) => Object.fromEntries(
+  BUDGET_STAGES.map(({ key }) => [key, rows.reduce((acc, curr) => acc + (curr[keyOf(key)] || 0), 0)])
+);
+
+// Fila de totales de la vista filtrada con las mismas claves que las columnas exportadas
+const buildTotalsRow = (analytics) => {
+  const forecast = analytics.forecast
+    ? { proyectado: analytics.forecast.proyectado, avanceProyectado: analytics.forecast.avanceProyectado, subejercicio: analytics.forecast.subejercicio }
+    : {};
+  const totals = { ...analytics.totals, avance: Number(analytics.porcentaje), ...forecast };
+  if (!analytics.reference) return totals;
+  const { totalAprobado, totalPagado, porcentaje } = analytics.reference;
+  const deltaAprobado = computeDelta(totals.aprobado, totalAprobado);
+  const deltaPagado = computeDelta(totals.pagado, totalPagado);
+  return {
+    ...totals,
+    refAprobado: totalAprobado,
+    deltaAprobado: deltaAprobado.abs,
+    pctAprobado: deltaAprobado.pct,
+    refPagado: totalPagado,
+    deltaPagado: deltaPagado.abs,
+    pctPagado: deltaPagado.pct,
+    refAvance: Number(porcentaje)
+  };
+};
+
+// Las filas comparativas son agregados: sus comentarios son los de la ruta
+const rowTarget = (row) => row.path ? pathTarget(row.path) : recordTarget(row);
+
+// Agrupa ambos ejercicios por los niveles de la jerarquía (al menos Ramo + UR)
+// para compararlos fila a fila
+const buildComparisonRows = (current, reference, avanceBase, levelKeys = ['ramo', 'ur']) => {
+  const rows = {};
+  const accumulate = (records, isReference) => records.forEach(r => {
+    const path = levelKeys.map(level => r[level]);
+    const key = path.join('::');
+    if (!rows[key]) {
+      rows[key] = { id: key, path, ...Object.fromEntries(levelKeys.map(level => [level, r[level]])) };
+      BUDGET_STAGES.forEach(stage => {
+        rows[key][stage.key] = 0;
+        rows[key][refKey(stage.key)] = 0;
+      });
+    }
+    BUDGET_STAGES.forEach(({ key: stage }) => {
+      rows[key][isReference ? refKey(stage) : stage] += r[stage];
+    });
+    if (!isReference) {
+      rows[key].calendario = addMonthly(rows[key].calendario, r.calendario);
+      rows[key].pagadoMensual = addMonthly(rows[key].pagadoMensual, r.pagadoMensual);
+    }
+  });
+  accumulate(current, false);
+  accumulate(reference, true);
+
+  return Object.values(rows).map(row => {
+    const avance = computeAvance(row, avanceBase);
+    const refAvance = computeAvance({ aprobado: row.refAprobado, modificado: row.refModificado, pagado: row.refPagado }, avanceBase);
+    const deltaAprobado = computeDelta(row.aprobado, row.refAprobado);
+    const deltaPagado = computeDelta(row.pagado, row.refPagado);
+    return {
+      ...row,
+      avance,
+      refAvance,
+      deltaAprobado: deltaAprobado.abs,
+      pctAprobado: deltaAprobado.pct,
+      deltaPagado: deltaPagado.abs,
+      pctPagado: deltaPagado.pct,
+      deltaAvance: avance - refAvance
+    };
+  });
+};
+
 const App = () => {
   const [data, setData] = useState([]);
+  const [referenceData, setReferenceData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [view, setView] = useState('dashboard');
   const [user, setUser] = useState(null);
+  // Sin proyecto de Firebase no hay cuentas: el uso local tiene todos los permisos
+  const [role, setRole] = useState(auth ? 'viewer' : 'admin');
+  const [accessDenied, setAccessDenied] = useState(false);
+  const [loginOpen, setLoginOpen] = useState(false);
+  const [usersOpen, setUsersOpen] = useState(false);
+  const can = (permission) => hasPermission(role, permission);
+
+  // Estado inicial restaurado desde la URL (enlaces compartidos)
+  const [initialUrlState] = useState(readUrlState);
+  // El hash original se conserva: sus años importados solo se conocen al leer IndexedDB
+  const [initialHash] = useState(() => window.location.hash);
+  const [view, setView] = useState(initialUrlState.view);
+  // Las correcciones automáticas reemplazan la entrada del historial en lugar de apilar otra
+  const replaceUrlRef = useRef(false);
+
+  // Fuente de datos activa y conjuntos importados localmente por año
+  const [sourceType, setSourceType] = useState(firestoreSource ? 'firestore' : 'local');
+  const [localDatasets, setLocalDatasets] = useState({});
+  const [importOpen, setImportOpen] = useState(false);
+  const [printing, setPrinting] = useState(false);
+  const [alertsOpen, setAlertsOpen] = useState(false);
+
+  // Modo servidor para colecciones grandes: páginas con cursor y totales agregados
+  const [serverMode, setServerMode] = useState(false);
+  const [serverCount, setServerCount] = useState(null);
+  const [serverAggregates, setServerAggregates] = useState(null);
+  const [serverRamos, setServerRamos] = useState(null);
+  const [hasMorePages, setHasMorePages] = useState(false);
+  const [loadingPage, setLoadingPage] = useState(false);
+  const pageRef = useRef({ cursor: null, hasMore: false, loading: false });
+
+  // Caché local: origen de los datos y cambios contra la última visita
+  const [fromCache, setFromCache] = useState(false);
+  // Firestore entrega primero la caché aun con conexión: solo el navegador sabe si está sin red
+  const [online, setOnline] = useState(() => typeof navigator === 'undefined' || navigator.onLine !== false);
+  const [dataKey, setDataKey] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+  const [changesOpen, setChangesOpen] = useState(false);
+  // null mientras no haya reglas guardadas: se usan las predeterminadas
+  const [savedRules, setSavedRules] = useState(null);
 
-  // Estados de Filtros
-  const [selectedRamo, setSelectedRamo] = useState('all');
-  const [selectedUR, setSelectedUR] = useState('all');
+  // Ejercicio fiscal y año de referencia para comparación
+  const [selectedYear, setSelectedYear] = useState(initialUrlState.year);
+  const [compareYear, setCompareYear] = useState(initialUrlState.compareYear);
+  const isComparing = compareYear !== null;
+
+  // Ruta de exploración en la jerarquía: [ramo, ur, programa, ...]
+  // `levels` lleva la clave de nivel de cada valor: los niveles sin datos se saltan
+  const [drill, setDrill] = useState({ path: initialUrlState.path, levels: initialUrlState.pathLevels });
+  const { path: drillPath, levels: drillLevels } = drill;
+  const truncateDrill = (length) => setDrill({ path: drillPath.slice(0, length), levels: drillLevels.slice(0, length) });
+  const selectedRamo = drillPath[0] ?? 'all';
+  const selectedUR = drillPath[1] ?? 'all';
+
+  // Búsqueda y filtros avanzados, con filtros guardados por usuario
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [filtersOpen, setFiltersOpen] = useState(countActiveFilters(initialUrlState.filters) > 0);
+  const [presets, setPresets] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [annotationTarget, setAnnotationTarget] = useState(null);
+  const activeFilterCount = countActiveFilters(filters);
 
   // Estado de Ordenamiento de Tabla
-  const [sortConfig, setSortConfig] = useState({ key: 'ramo', direction: 'asc' });
+  const [sortConfig, setSortConfig] = useState({ key: initialUrlState.sortKey, direction: initialUrlState.sortDirection });
+
+  // Base del avance: aprobado original o modificado
+  const [avanceBase, setAvanceBase] = useState(initialUrlState.avanceBase);
+  const [excludeInvalid, setExcludeInvalid] = useState(initialUrlState.excludeInvalid);
+  // Unidad y pesos corrientes/constantes de los montos
+  const [displaySettings, setDisplaySettings] = useState(loadDisplaySettings);
+  const [displayOpen, setDisplayOpen] = useState(false);
+  // En pesos constantes cada ejercicio se deflacta con su propio INPC antes de cualquier cálculo
+  const displayFactor = getDisplayFactor(displaySettings, selectedYear);
+  // Modo servidor: Firestore resuelve listas y rangos de montos; la búsqueda y el avance
+  // solo se aplican a las páginas cargadas
+  const serverFilters = getServerFilters(filters, displayFactor);
+  const serverFiltersKey = JSON.stringify([serverFilters.lists, serverFilters.ranges]);
+  // El medidor puede mostrar el avance anual o contra lo calendarizado al mes de corte
+  const [avanceMode, setAvanceMode] = useState('anual');
+  // Método de proyección al cierre y escenario de ritmo por ramo
+  const [forecastSettings, setForecastSettings] = useState(DEFAULT_FORECAST);
+  // Tablero del dashboard: widgets y elementos fijados; los guardados con nombre son por usuario
+  const [dashboardLayout, setDashboardLayout] = useState(loadDashboardLayout);
+  const [layouts, setLayouts] = useState([]);
+  const [activeLayoutId, setActiveLayoutId] = useState(null);
+  const [editingLayout, setEditingLayout] = useState(false);
+  const [pinnedAggregates, setPinnedAggregates] = useState({});
+  // Modo servidor: montos del ramo del escenario de proyección cuando la vista abarca todos los ramos
+  const [scenarioAggregates, setScenarioAggregates] = useState(null);
+  // Idioma de la interfaz: el del perfil del usuario o, sin cuenta, el del navegador
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t } = i18n;
+
+  const activeSource = useMemo(
+    () => sourceType === 'local' ? createLocalSource(localDatasets) : firestoreSource,
+    [sourceType, localDatasets]
+  );
+  // Firestore requiere sesión; los archivos locales están disponibles de inmediato
+  const sourceReady = sourceType === 'local' || !!user;
+
+  // Años seleccionables: los configurados más los presentes en archivos importados
+  const availableYears = useMemo(() => {
+    if (sourceType !== 'local') return fiscalYears;
+    return [...new Set([...fiscalYears, ...activeSource.years])].sort((a, b) => b - a);
+  }, [sourceType, activeSource]);
 
   useEffect(() => {
-    if (!firebaseConfig || !auth) {
-      const timer = setTimeout(() => {
-        if (!auth) {
-          setError("Configuración no detectada. Verifica los Secrets de GitHub.");
-          setLoading(false);
-        }
-      }, 3000);
-      return () => clearTimeout(timer);
+    if (!auth) {
+      setLoading(false);
+      return;
     }
 
+    // Sin sesión guardada se entra con el token inyectado o como invitado de consulta;
+    // si el acceso anónimo está deshabilitado se pide iniciar sesión y cualquier otro
+    // error (red, configuración) se muestra tal cual
+    let anonymousFailed = false;
     const performAuth = async () => {
       try {
         if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
@@ -84,59 +360,429 @@ const App = () => {
           await signInAnonymously(auth);
         }
       } catch (err) {
-        setError(`Fallo de conexión: Verifica el inicio anónimo en Firebase.`);
+        anonymousFailed = true;
+        if (ANONYMOUS_DISABLED_ERRORS.includes(err.code)) setAccessDenied(true);
+        else setError(t('Error de autenticación: {message}', { message: err.message }));
         setLoading(false);
       }
     };
 
-    performAuth();
-    const unsubscribe = onAuthStateChanged(auth, (currentUser) => setUser(currentUser));
+    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+      setUser(currentUser);
+      if (!currentUser && !anonymousFailed) performAuth();
+    });
     return () => unsubscribe();
   }, []);
 
+  // Rol e idioma en Firestore; las cuentas con correo registran su perfil para que un administrador las vea
   useEffect(() => {
-    if (!user || !db) return;
-    const collectionPath = collection(db, 'artifacts', appId, 'public', 'data', 'presupuesto_2025');
-    
-    const unsubscribe = onSnapshot(collectionPath, 
-      (snapshot) => {
-        const result = snapshot.docs.map(doc => {
-          const d = doc.data();
-          const aprobado = Number(d.MONTO_APROBADO) || 0;
-          const pagado = Number(d.MONTO_PAGADO) || 0;
-          return {
-            id: doc.id,
-            ramo: d.DESC_RAMO || "Sin clasificar",
-            aprobado,
-            pagado,
-            avance: aprobado > 0 ? (pagado / aprobado) * 100 : 0,
-            ur: d.DESC_UR || "N/A"
-          };
+    if (!auth) return;
+    if (!user) {
+      setRole('viewer');
+      return;
+    }
+    setAccessDenied(false);
+    setLoginOpen(false);
+    setError(null);
+    if (!user.isAnonymous) {
+      saveProfile(db, appId, user).catch(err => console.error("Error al guardar el perfil:", err.message));
+    }
+    return subscribeProfile(db, appId, user, (profile) => {
+      setRole(profile.role);
+      if (profile.locale) setLocale(profile.locale);
+    });
+  }, [user]);
+
+  useEffect(() => {
+    saveLocale(locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Las cuentas con correo guardan el idioma en su perfil para usarlo en cualquier navegador
+  const changeLocale = (next) => {
+    setLocale(next);
+    if (db && user && !user.isAnonymous) {
+      saveUserLocale(db, appId, user.uid, next).catch(err => console.error("Error al guardar el idioma:", err.message));
+    }
+  };
+
+  // Un permiso denegado lleva a la pantalla de acceso en lugar de la tarjeta de error
+  const reportAccessError = (err, label = t('Error de acceso')) => {
+    if (err.code === 'permission-denied') setAccessDenied(true);
+    else setError(`${label}: ${err.message}`);
+  };
+
+  const snapshotKey = getSnapshotKey(sourceType, selectedYear);
+
+  // Las colecciones grandes pasan a modo servidor en lugar de suscribirse completas
+  useEffect(() => {
+    if (!sourceReady) return;
+    let cancelled = false;
+    setDataKey(null);
+    let unsubscribe = () => {};
+    const subscribeAll = () => {
+      setServerMode(false);
+      unsubscribe = activeSource.subscribe(selectedYear,
+        (records, meta) => {
+          setData(records);
+          setFromCache(!!meta?.fromCache);
+          setDataKey(snapshotKey);
+          setLoading(false);
+        },
+        (err) => {
+          reportAccessError(err);
+          setLoading(false);
+        }
+      );
+    };
+
+    if (!activeSource.count) {
+      subscribeAll();
+    } else {
+      // El conteo guardado en la visita anterior decide al instante (la suscripción sirve
+      // primero la caché); el del servidor llega en paralelo y cambia de modo si hace falta
+      let mode = null;
+      const decide = (total) => {
+        setServerCount(total);
+        const next = total > serverQueryThreshold ? 'server' : 'all';
+        if (next === mode) return;
+        mode = next;
+        if (next === 'all') return subscribeAll();
+        unsubscribe();
+        unsubscribe = () => {};
+        setServerMode(true);
+      };
+      loadCount(snapshotKey).then(cached => {
+        if (!cancelled && mode === null && cached !== null) decide(cached);
+      });
+      activeSource.count(selectedYear)
+        .then(total => {
+          if (cancelled) return;
+          saveCount(snapshotKey, total);
+          decide(total);
+        })
+        .catch(() => {
+          if (!cancelled && mode === null) {
+            mode = 'all';
+            subscribeAll();
+          }
         });
-        setData(result);
+    }
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [activeSource, sourceReady, selectedYear, user?.uid]);
+
+  // Modo servidor: la primera página se vuelve a pedir al cambiar la ruta, los filtros o el orden
+  useEffect(() => {
+    if (!serverMode) return;
+    let cancelled = false;
+    pageRef.current = { cursor: null, hasMore: false, loading: true };
+    activeSource.fetchPage(selectedYear, { path: drillPath, levels: drillLevels, filters: serverFilters, sortKey: sortConfig.key, sortDirection: sortConfig.direction, pageSize: SERVER_PAGE_SIZE })
+      .then(page => {
+        if (cancelled) return;
+        pageRef.current = { cursor: page.cursor, hasMore: page.hasMore, loading: false };
+        setHasMorePages(page.hasMore);
+        setFromCache(false);
+        setData(page.records);
         setLoading(false);
-      }, 
-      (err) => {
-        setError(`Error de acceso: ${err.message}`);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        reportAccessError(err);
         setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [serverMode, activeSource, selectedYear, drill, serverFiltersKey, sortConfig, user?.uid]);
+
+  const loadNextPage = useCallback(() => {
+    const page = pageRef.current;
+    if (!serverMode || !page.hasMore || page.loading) return;
+    page.loading = true;
+    setLoadingPage(true);
+    activeSource.fetchPage(selectedYear, { path: drillPath, levels: drillLevels, filters: serverFilters, sortKey: sortConfig.key, sortDirection: sortConfig.direction, cursor: page.cursor, pageSize: SERVER_PAGE_SIZE })
+      .then(next => {
+        if (pageRef.current !== page) return;
+        pageRef.current = { cursor: next.cursor, hasMore: next.hasMore, loading: false };
+        setHasMorePages(next.hasMore);
+        setData(prev => [...prev, ...next.records]);
+      })
+      .catch(err => reportAccessError(err))
+      .finally(() => setLoadingPage(false));
+  }, [serverMode, activeSource, selectedYear, drill, serverFiltersKey, sortConfig]);
+
+  // Totales del modo servidor: documento precalculado o consulta de agregación con los filtros
+  useEffect(() => {
+    setServerAggregates(null);
+    if (!serverMode) return;
+    let cancelled = false;
+    activeSource.fetchAggregates(selectedYear, drillPath, drillLevels, serverFilters)
+      .then(result => { if (!cancelled) setServerAggregates(result); })
+      .catch(err => console.error("Error al leer agregados:", err.message));
+    return () => { cancelled = true; };
+  }, [serverMode, activeSource, selectedYear, drill, serverFiltersKey]);
+
+  // Ramos del ejercicio en modo servidor: los grupos del agregado precalculado de la raíz.
+  // Sin ese documento (o si falla la lectura) la lista sale de las páginas y se marca parcial
+  useEffect(() => {
+    setServerRamos(null);
+    if (!serverMode) return;
+    let cancelled = false;
+    activeSource.fetchAggregates(selectedYear)
+      .then(result => { if (!cancelled && result.groups) setServerRamos(result.groups.map(group => group.name).sort()); })
+      .catch(err => console.error("Error al leer agregados:", err.message));
+    return () => { cancelled = true; };
+  }, [serverMode, activeSource, selectedYear]);
+
+  // Instantánea guardada en la visita anterior; es la base de comparación de toda la sesión
+  useEffect(() => {
+    let cancelled = false;
+    setBaseline(null);
+    loadSnapshot(snapshotKey).then(snapshot => {
+      if (!cancelled) setBaseline(snapshot || { key: snapshotKey, savedAt: null, records: null });
+    });
+    return () => { cancelled = true; };
+  }, [snapshotKey]);
+
+  // Solo los datos confirmados por el servidor (o los archivos locales) reemplazan la instantánea
+  useEffect(() => {
+    if (serverMode || dataKey !== snapshotKey || fromCache || data.length === 0) return;
+    saveSnapshot(toSnapshot(snapshotKey, data));
+  }, [data, dataKey, snapshotKey, fromCache, serverMode]);
+
+  const changes = useMemo(() => {
+    if (serverMode || !baseline?.records || baseline.key !== dataKey) return null;
+    return diffSnapshots(baseline, data);
+  }, [baseline, data, dataKey, serverMode]);
+
+  const markChangesReviewed = () => setBaseline(toSnapshot(snapshotKey, data));
+
+  // Los archivos importados en visitas anteriores se recuperan de IndexedDB
+  useEffect(() => {
+    loadLocalDatasets().then(saved => {
+      if (!saved) return;
+      setLocalDatasets(prev => ({ ...saved, ...prev }));
+      // Un enlace a un año importado en este navegador se abre con la fuente local
+      const linked = readUrlState([...fiscalYears, ...Object.keys(saved).map(Number)], initialHash);
+      if (!fiscalYears.includes(linked.year)) {
+        replaceUrlRef.current = true;
+        setSourceType('local');
+        setSelectedYear(linked.year);
+        setCompareYear(linked.compareYear);
       }
+    });
+  }, []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Años que puede traer una entrada del historial: los configurados y los importados
+  const urlYearsRef = useRef(fiscalYears);
+  urlYearsRef.current = [...fiscalYears, ...Object.keys(localDatasets).map(Number)];
+
+  const ruleStore = firestoreRuleStore && user ? firestoreRuleStore : localRuleStore;
+  const rules = savedRules ?? DEFAULT_RULES;
+
+  useEffect(() => ruleStore.subscribe(
+    setSavedRules,
+    (err) => console.error("Error al leer reglas de alerta:", err.message)
+  ), [ruleStore]);
+
+  // La primera edición guarda también las reglas predeterminadas para no perderlas;
+  // los errores llegan al panel de alertas
+  const persistRules = async (change) => {
+    if (savedRules === null) await ruleStore.seed(DEFAULT_RULES);
+    await change();
+  };
+  const saveRule = (rule) => persistRules(() => ruleStore.save(rule));
+  const deleteRule = (id) => persistRules(() => ruleStore.remove(id));
+
+  const annotationStore = firestoreAnnotationStore && user ? firestoreAnnotationStore : localAnnotationStore;
+  const threadsByKey = useMemo(() => new Map(threads.map(thread => [thread.targetKey, thread])), [threads]);
+
+  useEffect(() => annotationStore.subscribe(
+    selectedYear,
+    setThreads,
+    (err) => console.error("Error al leer comentarios:", err.message)
+  ), [annotationStore, selectedYear]);
+
+  const addComment = (text) => annotationStore.addComment(selectedYear, annotationTarget, createComment(text, user));
+  const setThreadStatus = (status) => annotationStore.setStatus(selectedYear, annotationTarget.key, status);
+
+  const presetStore = useMemo(
+    () => firestoreSource && user ? createFirestorePresetStore(db, appId, user.uid) : localPresetStore,
+    [user]
+  );
+
+  useEffect(() => presetStore.subscribe(
+    setPresets,
+    (err) => console.error("Error al leer filtros guardados:", err.message)
+  ), [presetStore]);
+
+  // Escribir en la búsqueda o en un rango reemplaza la entrada del historial en lugar de apilar una por tecla
+  const updateFilters = (next, { typing = false } = {}) => {
+    if (typing) replaceUrlRef.current = true;
+    setFilters(next);
+  };
+
+  const savePreset = (name) => presetStore.save({ id: `filtro-${Date.now().toString(36)}`, name, filters });
+
+  const layoutStore = useMemo(
+    () => firestoreSource && user ? createFirestoreLayoutStore(db, appId, user.uid) : localLayoutStore,
+    [user]
+  );
+
+  // Cada usuario abre el último tablero que eligió; la primera lectura de la caché puede venir vacía
+  useEffect(() => {
+    let opened = false;
+    setActiveLayoutId(null);
+    return layoutStore.subscribe(
+      (saved) => {
+        setLayouts(saved);
+        const last = opened ? null : getLastOpened(saved);
+        if (!last) return;
+        opened = true;
+        setDashboardLayout(normalizeLayout(last));
+        setActiveLayoutId(last.id);
+      },
+      (err) => console.error("Error al leer tableros:", err.message)
+    );
+  }, [layoutStore]);
+
+  useEffect(() => saveDashboardLayout(dashboardLayout), [dashboardLayout]);
+
+  const activeLayout = layouts.find(layout => layout.id === activeLayoutId) || null;
+  const layoutDirty = activeLayout !== null && !isSameLayout(activeLayout, dashboardLayout);
+
+  // Abrir un tablero lo marca como el último elegido; el panel muestra si no se pudo guardar
+  const openLayout = (layout) => {
+    setDashboardLayout(normalizeLayout(layout));
+    setActiveLayoutId(layout.id);
+    return layoutStore.save({ ...layout, openedAt: Date.now() });
+  };
+
+  const saveLayout = (name) => {
+    const id = `tablero-${Date.now().toString(36)}`;
+    setActiveLayoutId(id);
+    return layoutStore.save({ id, name, ...dashboardLayout, openedAt: Date.now() });
+  };
+
+  const updateLayout = () => layoutStore.save({ ...activeLayout, ...dashboardLayout, openedAt: Date.now() });
+
+  const deleteLayout = (id) => {
+    if (id === activeLayoutId) setActiveLayoutId(null);
+    return layoutStore.remove(id);
+  };
+
+  useEffect(() => {
+    if (!sourceReady || !isComparing) {
+      setReferenceData([]);
+      return;
+    }
+    const unsubscribe = activeSource.subscribe(compareYear,
+      (records) => setReferenceData(records),
+      (err) => reportAccessError(err, t('Error de acceso ({year})', { year: compareYear }))
     );
     return () => unsubscribe();
-  }, [user]);
+  }, [activeSource, sourceReady, compareYear, isComparing, user?.uid]);
 
   // Lógica de Filtros y Ordenamiento
-  const uniqueRamos = useMemo(() => ['all', ...new Set(data.map(d => d.ramo))].sort(), [data]);
+  const allRecords = useMemo(() => isComparing ? [...data, ...referenceData] : data, [data, referenceData, isComparing]);
+  // En modo servidor las páginas solo traen la ruta y los filtros: los ramos salen del agregado de la raíz
+  const uniqueRamos = useMemo(
+    () => ['all', ...new Set(serverMode && serverRamos ? serverRamos : allRecords.map(d => d.ramo))].sort(),
+    [allRecords, serverMode, serverRamos]
+  );
   const uniqueURs = useMemo(() => {
-    const filtered = selectedRamo === 'all' ? data : data.filter(d => d.ramo === selectedRamo);
+    const filtered = selectedRamo === 'all' ? allRecords : allRecords.filter(d => d.ramo === selectedRamo);
     return ['all', ...new Set(filtered.map(d => d.ur))].sort();
-  }, [data, selectedRamo]);
+  }, [allRecords, selectedRamo]);
+
+  const ramoOptionsPartial = serverMode && !serverRamos;
+
+  // URs elegibles en el filtro múltiple: las de los ramos marcados o del ramo de la ruta
+  const filterUROptions = useMemo(() => {
+    const ramos = filters.ramos.length ? filters.ramos : selectedRamo === 'all' ? null : [selectedRamo];
+    const scope = ramos ? allRecords.filter(d => ramos.includes(d.ramo)) : allRecords;
+    return [...new Set(scope.map(d => d.ur))].sort();
+  }, [allRecords, filters.ramos, selectedRamo]);
+
+  // Nivel que se agrupa en gráficas: el siguiente a la ruta, o el último disponible
+  const availableLevels = useMemo(() => getAvailableLevels(allRecords), [allRecords]);
+  // El nivel siguiente se busca por la clave del último nivel de la ruta, no por su posición
+  const lastPathLevel = drillLevels.length ? availableLevels.findIndex(level => level.key === drillLevels[drillLevels.length - 1]) : -1;
+  const nextLevelIndex = lastPathLevel >= 0 ? lastPathLevel + 1 : drillPath.length;
+  const groupLevelIndex = Math.min(nextLevelIndex, availableLevels.length - 1);
+  const groupLevel = availableLevels[groupLevelIndex];
+  const canDrill = nextLevelIndex < availableLevels.length;
+  // Ruta de los grupos de las gráficas: en el último nivel son los hermanos del elemento elegido
+  const groupBasePath = canDrill ? drillPath : drillPath.slice(0, -1);
+
+  const drillDown = (name) => {
+    if (canDrill && name) setDrill({ path: [...drillPath, name], levels: [...drillLevels, groupLevel.key] });
+  };
+
+  // La UR se elige con su ramo; sin ramo seleccionado se toma el del primer registro de esa UR
+  const selectUR = (ur) => {
+    if (ur === 'all') return truncateDrill(1);
+    const ramo = selectedRamo !== 'all' ? selectedRamo : allRecords.find(d => d.ur === ur)?.ramo;
+    if (ramo) setDrill({ path: [ramo, ur], levels: ['ramo', 'ur'] });
+  };
+
+  // Validación de los registros cargados; los inválidos pueden quedar fuera del análisis
+  const quality = useMemo(() => validateRecords(data), [data]);
+  const referenceQuality = useMemo(() => validateRecords(referenceData), [referenceData]);
+
+  const referenceFactor = compareYear ? getDisplayFactor(displaySettings, compareYear) : 1;
+  const analysisData = useMemo(
+    () => (excludeInvalid ? withoutInvalid(data, quality) : data).map(r => deflateRecord(r, displayFactor)),
+    [data, quality, excludeInvalid, displayFactor]
+  );
+  const referenceAnalysisData = useMemo(
+    () => (excludeInvalid ? withoutInvalid(referenceData, referenceQuality) : referenceData).map(r => deflateRecord(r, referenceFactor)),
+    [referenceData, referenceQuality, excludeInvalid, referenceFactor]
+  );
+  const formatMoney = (value) => formatAmount(value, displaySettings, locale);
+  const formatAxis = (value) => formatAxisAmount(value, displaySettings, locale);
+
+  // Los montos anteriores de la tabla se expresan igual que los actuales para compararlos
+  const tableChanges = useMemo(() => changes && displayFactor !== 1 ? {
+    ...changes,
+    changed: new Map([...changes.changed].map(([id, previous]) => [id, deflateRecord(previous, displayFactor)]))
+  } : changes, [changes, displayFactor]);
+
+  useEffect(() => saveDisplaySettings(displaySettings), [displaySettings]);
+
+  // Último mes transcurrido del ejercicio: base de las reglas por mes y de la proyección al cierre
+  const referenceMonth = useMemo(() => getReferenceMonth(getCutoffMonth(data), selectedYear), [data, selectedYear]);
+  const datasetProfile = useMemo(() => buildDatasetProfile(analysisData), [analysisData]);
+  // Sin meses transcurridos (ejercicio futuro) no hay proyección
+  const forecastOptions = useMemo(
+    () => referenceMonth >= 0 ? { ...forecastSettings, month: referenceMonth, profile: datasetProfile } : null,
+    [forecastSettings, referenceMonth, datasetProfile]
+  );
+
+  // Texto y listas se aplican a los registros; los rangos, a las filas ya calculadas
+  const inScope = (d) => matchesPath(d, drillPath, drillLevels) && matchesRecordFilters(d, filters);
+  const scopedData = useMemo(() => analysisData.filter(inScope), [analysisData, drill, filters]);
 
   const filteredAndSortedData = useMemo(() => {
-    let result = data.filter(d => {
-      const matchRamo = selectedRamo === 'all' || d.ramo === selectedRamo;
-      const matchUR = selectedUR === 'all' || d.ur === selectedUR;
-      return matchRamo && matchUR;
-    });
+    // En modo comparación cada fila agrega ambos ejercicios hasta el nivel agrupado
+    const levelKeys = availableLevels.slice(0, Math.max(2, groupLevelIndex + 1)).map(level => level.key);
+    let result = isComparing
+      ? buildComparisonRows(scopedData, referenceAnalysisData.filter(inScope), avanceBase, levelKeys)
+      : scopedData.map(d => avanceBase === 'aprobado' ? d : { ...d, avance: computeAvance(d, avanceBase) });
+    if (forecastOptions) result = withForecast(result, forecastOptions, avanceBase);
+    result = result.filter(row => matchesRanges(row, filters.ranges));
+    if (filters.annotated) result = result.filter(row => threadsByKey.has(rowTarget(row).key));
 
     if (sortConfig.key) {
       result.sort((a, b) => {
@@ -151,10 +797,11 @@ const App = () => {
     }
 
     return result;
-  }, [data, selectedRamo, selectedUR, sortConfig]);
+  }, [scopedData, referenceAnalysisData, isComparing, drill, filters, threadsByKey, availableLevels, groupLevelIndex, sortConfig, avanceBase, forecastOptions]);
 
   // Función para cambiar el orden
   const requestSort = (key) => {
+    if (serverMode && !SERVER_SORT_FIELDS[key]) return;
     let direction = 'asc';
     if (sortConfig.key === key && sortConfig.direction === 'asc') {
       direction = 'desc';
@@ -162,245 +809,949 @@ const App = () => {
     setSortConfig({ key, direction });
   };
 
+  // En modo servidor solo hay algunas páginas en memoria: los totales de la ruta vienen del
+  // servidor mientras no haya filtros que solo se apliquen a las páginas cargadas
+  const useServerTotals = serverMode && serverAggregates !== null && !serverFilters.partial && !filters.annotated && !excludeInvalid;
+
+  // En la raíz el agregado mezcla todos los ramos: el del escenario se pide aparte para
+  // proyectarlo con su ritmo (dentro de un ramo, el agregado ya es de un solo ramo)
+  const scenarioRamo = forecastSettings.scenario.ramo;
+  useEffect(() => {
+    setScenarioAggregates(null);
+    if (!serverMode || !scenarioRamo || drillPath.length > 0) return;
+    let cancelled = false;
+    activeSource.fetchAggregates(selectedYear, [scenarioRamo], ['ramo'], serverFilters)
+      .then(result => { if (!cancelled) setScenarioAggregates(result.totals); })
+      .catch(err => console.error("Error al leer agregados:", err.message));
+    return () => { cancelled = true; };
+  }, [serverMode, activeSource, selectedYear, scenarioRamo, drill, serverFiltersKey]);
+
   // Analítica basada en datos filtrados
   const analytics = useMemo(() => {
-    const totalAprobado = filteredAndSortedData.reduce((acc, curr) => acc + curr.aprobado, 0);
-    const totalPagado = filteredAndSortedData.reduce((acc, curr) => acc + curr.pagado, 0);
-    const porcentaje = totalAprobado > 0 ? ((totalPagado / totalAprobado) * 100).toFixed(1) : "0.0";
+    const totals = useServerTotals ? deflateRecord(serverAggregates.totals, displayFactor) : sumStages(filteredAndSortedData);
+    const porcentaje = computeAvance(totals, avanceBase).toFixed(1);
     
-    const agrupado = filteredAndSortedData.reduce((acc, curr) => {
-      const clave = curr.ramo;
-      if (!acc[clave]) acc[clave] = { name: clave, aprobado: 0, pagado: 0 };
-      acc[clave].aprobado += curr.aprobado;
-      acc[clave].pagado += curr.pagado;
-      return acc;
-    }, {});
-
-    const topRamos = Object.values(agrupado).sort((a, b) => b.aprobado - a.aprobado).slice(0, 8);
-    return { totalAprobado, totalPagado, porcentaje, topRamos };
-  }, [filteredAndSortedData]);
-
-  // Título Dinámico
-  const dynamicTitle = useMemo(() => {
-    if (selectedUR !== 'all') return selectedUR;
-    if (selectedRamo !== 'all') return selectedRamo;
-    return "Dirección General de Mejora Continua 2";
-  }, [selectedRamo, selectedUR]);
+    const groups = useServerTotals && serverAggregates.groups ? serverAggregates.groups.map(g => deflateRecord(g, displayFactor)) : groupByLevel(filteredAndSortedData, groupLevel.key);
+    const topGroups = groups.slice(0, 8);
+
+    let reference = null;
+    if (isComparing) {
+      const refTotals = sumStages(filteredAndSortedData, refKey);
+      reference = {
+        totals: refTotals,
+        totalAprobado: refTotals.aprobado,
+        totalPagado: refTotals.pagado,
+        porcentaje: computeAvance(refTotals, avanceBase).toFixed(1)
+      };
+    }
+    const calendar = computeCalendarProgress(filteredAndSortedData);
+
+    // Con totales del servidor se proyectan los agregados (la parte del ramo del escenario
+    // con su ritmo); si no, se suman las filas proyectadas
+    let forecast = null;
+    if (forecastOptions) {
+      const isScenarioRamo = (ramo) => ramo === forecastOptions.scenario.ramo;
+      // En la raíz los grupos son ramos; dentro de un ramo todos los grupos son de ese ramo
+      const groupRamo = (group) => drillPath.length > 0 ? selectedRamo : group.name;
+      const projectGroup = (group) => ({
+        ...group,
+        ...buildForecastFields(group, projectAggregate(group, forecastOptions, isScenarioRamo(groupRamo(group)) ? group : null), avanceBase)
+      });
+      const scenarioTotals = drillPath.length > 0
+        ? (isScenarioRamo(selectedRamo) ? totals : null)
+        : scenarioAggregates && deflateRecord(scenarioAggregates, displayFactor);
+      const proyectado = useServerTotals
+        ? projectAggregate(totals, forecastOptions, scenarioTotals)
+        : filteredAndSortedData.reduce((acc, row) => acc + row.proyectado, 0);
+      const forecastGroups = useServerTotals && serverAggregates.groups
+        ? topGroups.map(projectGroup)
+        : groupForecast(filteredAndSortedData, groupLevel.key, avanceBase).slice(0, 8);
+      forecast = { ...buildForecastFields(totals, proyectado, avanceBase), groups: forecastGroups };
+    }
+    return { totals, totalAprobado: totals.aprobado, totalPagado: totals.pagado, porcentaje, groups, topGroups, reference, calendar, forecast };
+  }, [filteredAndSortedData, groupLevel, isComparing, avanceBase, useServerTotals, serverAggregates, scenarioAggregates, drill, displayFactor, forecastOptions]);
+
+  // Modo servidor: avisos de lo que se calcula solo con las páginas cargadas (con todas
+  // las páginas en memoria los cálculos locales cubren ya todo el alcance del servidor)
+  const groupsFromServer = useServerTotals && !!serverAggregates.groups;
+  const partialNotes = serverMode && hasMorePages ? [
+    serverFilters.partial && t('Los filtros que Firestore no resuelve (búsqueda por texto, rango de avance) se aplican solo a los registros cargados: los totales son parciales'),
+    // Los hilos se indexan por fila y ruta, no son un campo de los registros en Firestore
+    filters.annotated && t('El filtro de comentarios se aplica solo a los registros cargados: los totales son parciales'),
+    excludeInvalid && t('La exclusión de registros inválidos se aplica solo a los registros cargados: los totales son parciales'),
+    !groupsFromServer && t('Las gráficas por grupo suman solo los registros cargados'),
+    t('Tendencia, mapa, alertas y opciones de filtro usan solo los registros cargados')
+  ].filter(Boolean) : [];
+
+  const showCalendarAvance = avanceMode === 'calendario' && analytics.calendar !== null;
+
+  // Alertas sobre las filas de la vista; el peso en el ramo se mide contra todo el ejercicio
+  const alerts = useMemo(() => evaluateRules(filteredAndSortedData, rules, {
+    referenceMonth,
+    ramoTotals: computeRamoTotals(analysisData)
+  }), [filteredAndSortedData, rules, referenceMonth, analysisData]);
+
+  // Severidad más alta por grupo, para colorear las barras
+  const groupSeverities = useMemo(() => {
+    const lists = {};
+    filteredAndSortedData.forEach(row => {
+      const matched = alerts.byRow.get(row.id);
+      if (!matched) return;
+      const name = getLevelValue(row, groupLevel.key);
+      (lists[name] = lists[name] || []).push(matched);
+    });
+    return Object.fromEntries(Object.entries(lists).map(([name, ruleLists]) => [name, highestSeverity(ruleLists)]));
+  }, [filteredAndSortedData, alerts, groupLevel]);
+
+  // Estado del hilo de cada grupo de la gráfica (comentarios sobre el agregado)
+  const groupThreads = useMemo(() => Object.fromEntries(analytics.groups.flatMap(group => {
+    const thread = threadsByKey.get(pathTarget([...groupBasePath, group.name]).key);
+    return thread ? [[group.name, thread.status]] : [];
+  })), [analytics, threadsByKey, drillPath, canDrill]);
+  const scopeThread = drillPath.length > 0 ? threadsByKey.get(pathTarget(drillPath).key) : null;
+
+  // Niveles que puede agrupar un widget; en comparación las filas solo llegan hasta el nivel agrupado
+  const widgetLevels = useMemo(
+    () => isComparing ? availableLevels.slice(0, Math.max(2, groupLevelIndex + 1)) : availableLevels,
+    [isComparing, availableLevels, groupLevelIndex]
+  );
+  const widgetLevel = (widget) => widget.groupBy === AUTO_GROUPING
+    ? groupLevel
+    : widgetLevels.find(level => level.key === widget.groupBy) || groupLevel;
+
+  // Grupos por nivel para los widgets; el nivel de la ruta reutiliza los de la analítica (o del servidor)
+  const widgetGroups = useMemo(() => {
+    const byLevel = { [groupLevel.key]: analytics.groups };
+    dashboardLayout.widgets.forEach(widget => {
+      const { key } = widgetLevel(widget);
+      if (!byLevel[key]) byLevel[key] = groupByLevel(filteredAndSortedData, key);
+    });
+    return byLevel;
+  }, [dashboardLayout, analytics, groupLevel, widgetLevels, filteredAndSortedData]);
+
+  const changeWidget = (id, changes) => setDashboardLayout(prev => updateWidget(prev, id, changes));
+  const addWidget = (type) => setDashboardLayout(prev => ({ ...prev, widgets: [...prev.widgets, createWidget(type)] }));
+
+  // Ramos (o pares ramo/UR) del ejercicio que se pueden fijar lado a lado
+  const comparisonLevel = dashboardLayout.comparison.level;
+  const comparisonOptions = useMemo(() => {
+    const paths = new Map(data.map(r => {
+      const path = comparisonLevel === 'ramo' ? [r.ramo] : [r.ramo, r.ur];
+      return [path.join('::'), path];
+    }));
+    return [...paths.values()].sort((a, b) => a.join(' ').localeCompare(b.join(' ')));
+  }, [data, comparisonLevel]);
+
+  // En modo servidor los totales de cada elemento fijado vienen de sus agregados
+  const pinsKey = JSON.stringify(dashboardLayout.comparison.pins);
+  useEffect(() => {
+    setPinnedAggregates({});
+    if (!serverMode) return;
+    let cancelled = false;
+    dashboardLayout.comparison.pins.map(pinPath).forEach(path => {
+      activeSource.fetchAggregates(selectedYear, path, ['ramo', 'ur'].slice(0, path.length))
+        .then(result => { if (!cancelled) setPinnedAggregates(prev => ({ ...prev, [path.join('::')]: result.totals })); })
+        .catch(err => console.error("Error al leer agregados:", err.message));
+    });
+    return () => { cancelled = true; };
+  }, [serverMode, activeSource, selectedYear, pinsKey]);
+
+  const comparisonItems = useMemo(() => dashboardLayout.comparison.pins.map(pinPath).flatMap(path => {
+    if (!serverMode) return [{ path, totals: sumStages(analysisData.filter(r => matchesPath(r, path))) }];
+    const totals = pinnedAggregates[path.join('::')];
+    return totals ? [{ path, totals: deflateRecord(totals, displayFactor) }] : [];
+  }), [dashboardLayout.comparison, serverMode, analysisData, pinnedAggregates, displayFactor]);
+
+  // Cambio de ejercicio: la referencia nunca puede ser el mismo año
+  const changeYear = (year) => {
+    setSelectedYear(year);
+    if (compareYear === year) setCompareYear(null);
+  };
+
+  // Los archivos importados reemplazan los años que contienen y activan la fuente local
+  const handleImport = (datasets) => {
+    const importedYears = Object.keys(datasets).map(Number).sort((a, b) => b - a);
+    const merged = { ...localDatasets, ...datasets };
+    setLocalDatasets(merged);
+    saveLocalDatasets(merged);
+    setSourceType('local');
+    setError(null);
+    setImportOpen(false);
+    if (importedYears.length) changeYear(importedYears[0]);
+  };
+
+  const changeSource = (type) => {
+    setSourceType(type);
+    setError(null);
+  };
+
+  const changeCompareYear = (year) => {
+    setCompareYear(year);
+    if (year === null && sortConfig.key.startsWith('delta')) {
+      setSortConfig({ key: 'ramo', direction: 'asc' });
+    }
+  };
+
+  // En modo servidor no hay comparación entre años (necesita ambos ejercicios completos
+  // en memoria) y solo se ordena por los campos que Firestore puede ordenar
+  useEffect(() => {
+    if (!serverMode) return;
+    if (compareYear !== null) setCompareYear(null);
+    if (!SERVER_SORT_FIELDS[sortConfig.key]) {
+      replaceUrlRef.current = true;
+      setSortConfig({ key: 'ramo', direction: 'asc' });
+    }
+  }, [serverMode, compareYear, sortConfig.key]);
+
+  // Una ruta de un enlace que no existe en los datos cargados se recorta al último nivel válido.
+  // Solo se valida contra los datos del año actual (tras atrás/adelante pueden seguir los del
+  // anterior); en modo servidor las páginas ya vienen filtradas por la ruta
+  useEffect(() => {
+    if (serverMode || loading || data.length === 0 || dataKey !== snapshotKey) return;
+    const validLength = validatePath(allRecords, drillPath, drillLevels);
+    if (validLength < drillPath.length) {
+      replaceUrlRef.current = true;
+      truncateDrill(validLength);
+    }
+  }, [serverMode, loading, data, dataKey, snapshotKey, allRecords, drill]);
+
+  // Cada cambio de vista, filtros u orden genera una entrada en el historial
+  useEffect(() => {
+    const hash = serializeViewState({
+      view,
+      year: selectedYear,
+      compareYear,
+      path: drillPath,
+      pathLevels: drillLevels,
+      filters,
+      sortKey: sortConfig.key,
+      sortDirection: sortConfig.direction,
+      avanceBase,
+      excludeInvalid
+    }, viewDefaults);
+    const replace = replaceUrlRef.current;
+    replaceUrlRef.current = false;
+    if (hash === window.location.hash.replace(/^#/, '')) return;
+
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  }, [view, selectedYear, compareYear, drill, filters, sortConfig, avanceBase, excludeInvalid]);
+
+  // Atrás/adelante del navegador restauran el estado guardado en la URL
+  useEffect(() => {
+    const onPopState = () => {
+      const state = readUrlState(urlYearsRef.current);
+      if (!fiscalYears.includes(state.year)) setSourceType('local');
+      setView(state.view);
+      setSelectedYear(state.year);
+      setCompareYear(state.compareYear);
+      setDrill({ path: state.path, levels: state.pathLevels });
+      setFilters(state.filters);
+      setSortConfig({ key: state.sortKey, direction: state.sortDirection });
+      setAvanceBase(state.avanceBase);
+      setExcludeInvalid(state.excludeInvalid);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // Título Dinámico: el último nivel de la ruta de exploración
+  const dynamicTitle = drillPath.length ? drillPath[drillPath.length - 1] : ROOT_TITLE;
+
+  // En pesos constantes un ejercicio sin INPC propio se marca en todas las descripciones de montos
+  const viewYears = isComparing ? [selectedYear, compareYear] : [selectedYear];
+  const displayLabel = describeDisplay(displaySettings, locale, viewYears);
+  const inpcEstimated = getEstimatedInpcYears(displaySettings, viewYears).length > 0;
+  const subtitle = `${t('Ejecución Presupuestal {year}', { year: selectedYear })}${isComparing ? ` vs ${compareYear}` : ''} · ${displayLabel}`;
+  const avanceBaseLabel = t(stageLabel(avanceBase)).toLowerCase();
+  const exportColumns = getExportColumns({ isComparing, compareYear, avanceBase, forecast: forecastOptions !== null, display: displaySettings, locale });
+
+  // Exporta exactamente la vista filtrada y ordenada del Explorador
+  const handleExport = async (format) => {
+    try {
+      if (format === 'csv') {
+        exportToCSV(filteredAndSortedData, exportColumns, buildExportFileName(dynamicTitle, selectedYear, 'csv'));
+      } else if (format === 'xlsx') {
+        await exportToXLSX(filteredAndSortedData, exportColumns, buildTotalsRow(analytics), buildExportFileName(dynamicTitle, selectedYear, 'xlsx'));
+      } else if (format === 'pdf') {
+        setPrinting(true);
+      }
+    } catch (err) {
+      setError(t('No se pudo exportar: {message}', { message: err.message }));
+    }
+  };
+
+  // El reporte se monta, se abre el diálogo de impresión y se desmonta al terminar
+  useEffect(() => {
+    if (!printing) return;
+    const finish = () => setPrinting(false);
+    window.addEventListener('afterprint', finish);
+    const timer = setTimeout(() => window.print(), 100);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('afterprint', finish);
+    };
+  }, [printing]);
 
   if (loading && !error) return (
     <div className="flex flex-col items-center justify-center h-screen bg-slate-50">
       <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
-      <p className="mt-6 text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] animate-pulse">Sincronizando visor...</p>
+      <p className="mt-6 text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] animate-pulse">{t('Sincronizando visor...')}</p>
     </div>
   );
 
   return (
-    <div className="min-h-screen bg-[#F8FAFC] text-slate-900 pb-12 font-sans">
-      <nav className="bg-white/90 backdrop-blur-xl border-b border-slate-200 sticky top-0 z-50 px-8 h-20 flex justify-between items-center shadow-sm">
-        <div className="flex items-center gap-4">
-          <div className="w-12 h-12 bg-blue-600 rounded-2xl flex items-center justify-center text-white shadow-xl shadow-blue-200">
-            <Landmark size={24} />
-          </div>
-          <div>
-            <h1 className="font-black text-xl uppercase leading-none tracking-tight">EJERCICIO DEL GASTO</h1>
-            <p className="text-[10px] font-bold text-blue-600 uppercase tracking-[0.2em] mt-1">Presupuesto público</p>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-[#F8FAFC] text-slate-900 pb-12 font-sans print:hidden">
+        <nav className="bg-white/90 backdrop-blur-xl border-b border-slate-200 sticky top-0 z-50 px-8 h-20 flex justify-between items-center shadow-sm">
+          <div className="flex items-center gap-4">
+            <div className="w-12 h-12 bg-blue-600 rounded-2xl flex items-center justify-center text-white shadow-xl shadow-blue-200">
+              <Landmark size={24} />
+            </div>
+            <div>
+              <h1 className="font-black text-xl uppercase leading-none tracking-tight">{t('EJERCICIO DEL GASTO')}</h1>
+              <p className="text-[10px] font-bold text-blue-600 uppercase tracking-[0.2em] mt-1">{t('Presupuesto público')}</p>
+            </div>
           </div>
-        </div>
-        
-        <div className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
-          <button onClick={() => setView('dashboard')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'dashboard' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
-            DASHBOARD
-          </button>
-          <button onClick={() => setView('table')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'table' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
-            EXPLORADOR
-          </button>
-        </div>
-      </nav>
+          
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2 bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
+              {firestoreSource && (
+                <>
+                  <button onClick={() => changeSource('firestore')} title="Firestore" className={`px-3 py-2.5 rounded-xl transition-all ${sourceType === 'firestore' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                    <Cloud size={14} />
+                  </button>
+                  <button onClick={() => changeSource('local')} title={t('Archivos locales')} className={`px-3 py-2.5 rounded-xl transition-all ${sourceType === 'local' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                    <HardDrive size={14} />
+                  </button>
+                </>
+              )}
+              {can('importData') && (
+                <button onClick={() => setImportOpen(true)} className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">
+                  <Upload size={14} /> {t('IMPORTAR')}
+                </button>
+              )}
+              <button onClick={() => setAlertsOpen(true)} className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">
+                <BellRing size={14} /> {t('ALERTAS')}
+                {alerts.total > 0 && <span className="bg-red-500 text-white px-2 py-0.5 rounded-full">{i18n.formatNumber(alerts.total)}</span>}
+              </button>
+              {changes && (
+                <button onClick={() => setChangesOpen(true)} className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">
+                  <History size={14} /> {t('CAMBIOS')}
+                  {changes.total > 0 && <span className="bg-amber-500 text-white px-2 py-0.5 rounded-full">{i18n.formatNumber(changes.total)}</span>}
+                </button>
+              )}
+              {fromCache && (online ? (
+                <span title={t('Se muestran los datos guardados en este navegador mientras se sincronizan con Firestore')} className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-[10px] font-black text-slate-500 bg-white border border-slate-200">
+                  <Cloud size={14} /> {t('DATOS EN CACHÉ')}
+                </span>
+              ) : (
+                <span title={t('Sin conexión con Firestore: se muestran los datos guardados en este navegador')} className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-[10px] font-black text-amber-600 bg-amber-50 border border-amber-200">
+                  <CloudOff size={14} /> {t('SIN CONEXIÓN')}
+                </span>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-2 bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
+              <div className="relative">
+                <select
+                  value={selectedYear}
+                  onChange={(e) => changeYear(Number(e.target.value))}
+                  aria-label={t('Ejercicio fiscal')}
+                  className="appearance-none bg-white shadow-md pl-4 pr-9 py-2.5 rounded-xl text-[10px] font-black text-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {availableYears.map(y => <option key={y} value={y}>{y}</option>)}
+                </select>
+                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 text-blue-600 pointer-events-none" size={12} />
+              </div>
+              <div className="relative">
+                <select
+                  value={compareYear ?? 'none'}
+                  onChange={(e) => changeCompareYear(e.target.value === 'none' ? null : Number(e.target.value))}
+                  disabled={serverMode}
+                  title={serverMode ? t('La comparación no está disponible en colecciones grandes') : undefined}
+                  aria-label={t('Año de comparación')}
+                  className={`appearance-none pl-4 pr-9 py-2.5 rounded-xl text-[10px] font-black focus:outline-none focus:ring-2 focus:ring-blue-500 ${isComparing ? 'bg-white shadow-md text-slate-700' : 'bg-transparent text-slate-500'}`}
+                >
+                  <option value="none">{t('SIN COMPARAR')}</option>
+                  {availableYears.filter(y => y !== selectedYear).map(y => <option key={y} value={y}>VS {y}</option>)}
+                </select>
+                <ChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={12} />
+              </div>
+            </div>
+
+            <div className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
+              <button onClick={() => setView('dashboard')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'dashboard' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                {t('DASHBOARD')}
+              </button>
+              <button onClick={() => setView('trend')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'trend' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                {t('TENDENCIA')}
+              </button>
+              <button onClick={() => setView('treemap')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'treemap' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                {t('MAPA')}
+              </button>
+              <button onClick={() => setView('table')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all ${view === 'table' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                {t('EXPLORADOR')}
+              </button>
+              <button onClick={() => setView('quality')} className={`px-6 py-2.5 rounded-xl text-[10px] font-black transition-all flex items-center gap-2 ${view === 'quality' ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+                {t('CALIDAD')}
+                {quality.invalidCount > 0 && (
+                  <span title={serverMode ? t('Solo entre los registros cargados') : undefined} className="bg-amber-500 text-white px-2 py-0.5 rounded-full text-[9px]">
+                    {i18n.formatNumber(quality.invalidCount)}{serverMode && hasMorePages && '+'}
+                  </span>
+                )}
+              </button>
+            </div>
 
-      <main className="max-w-7xl mx-auto px-8 pt-10">
-        {error ? (
-          <div className="bg-white border border-slate-200 rounded-[3rem] p-12 text-center shadow-xl">
-            <div className="w-20 h-20 bg-red-50 text-red-500 rounded-3xl flex items-center justify-center mx-auto mb-6">
-              <ShieldAlert size={40} />
+            <div role="group" aria-label={t('Idioma')} className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
+              {LOCALES.map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => changeLocale(option.key)}
+                  title={option.label}
+                  className={`px-3 py-2.5 rounded-xl text-[10px] font-black transition-all ${locale === option.key ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+                >
+                  {option.short}
+                </button>
+              ))}
             </div>
-            <h2 className="text-2xl font-black text-slate-900 mb-2 uppercase tracking-tight">Error de Configuración</h2>
-            <p className="text-slate-500 max-w-2xl mx-auto mb-8 font-medium">{error}</p>
+
+            {auth && (
+              <ProfileMenu
+                user={user}
+                role={role}
+                onLogin={() => setLoginOpen(true)}
+                onLogout={() => signOutUser(auth)}
+                onManageUsers={can('manageUsers') ? () => setUsersOpen(true) : undefined}
+              />
+            )}
           </div>
-        ) : (
-          <>
-            <div className="mb-10">
-              <div className="flex flex-col md:flex-row md:items-end justify-between gap-6">
-                <div className="max-w-2xl">
-                  <h2 className="text-4xl font-black text-slate-900 leading-tight tracking-tight mb-2 uppercase">
-                    {dynamicTitle}
-                  </h2>
-                  <div className="flex items-center gap-2 text-slate-400">
-                    <Activity size={16} />
-                    <span className="text-xs font-bold uppercase tracking-widest">Ejecución Presupuestal 2025</span>
+        </nav>
+
+        <main className="max-w-7xl mx-auto px-8 pt-10">
+          {auth && (accessDenied || loginOpen) ? (
+            <LoginScreen
+              auth={auth}
+              reason={accessDenied ? t('Tu cuenta no tiene acceso a estos datos. Inicia sesión con una cuenta autorizada.') : null}
+              onClose={accessDenied ? undefined : () => setLoginOpen(false)}
+            />
+          ) : error ? (
+            <div className="bg-white border border-slate-200 rounded-[3rem] p-12 text-center shadow-xl">
+              <div className="w-20 h-20 bg-red-50 text-red-500 rounded-3xl flex items-center justify-center mx-auto mb-6">
+                <ShieldAlert size={40} />
+              </div>
+              <h2 className="text-2xl font-black text-slate-900 mb-2 uppercase tracking-tight">{t('Error de Configuración')}</h2>
+              <p className="text-slate-500 max-w-2xl mx-auto mb-8 font-medium">{error}</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-10">
+                <div className="flex flex-col md:flex-row md:items-end justify-between gap-6">
+                  <div className="max-w-2xl">
+                    <Breadcrumb rootTitle={ROOT_TITLE} path={drillPath} levels={drillLevels} onNavigate={truncateDrill} />
+                    <div className="flex items-center gap-2 text-slate-400">
+                      <Activity size={16} />
+                      <span className="text-xs font-bold uppercase tracking-widest">{subtitle}</span>
+                      {drillPath.length > 0 && (
+                        <span className="ml-3 print:hidden">
+                          <CommentButton thread={scopeThread} onClick={() => setAnnotationTarget(pathTarget(drillPath))} />
+                        </span>
+                      )}
+                    </div>
                   </div>
-                </div>
 
-                <div className="flex flex-wrap gap-4">
-                  <div className="relative">
-                    <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">Filtrar por Ramo</label>
+                  <div className="flex flex-wrap gap-4">
+                    <div className="relative">
+                      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">
+                        {t('Filtrar por Ramo')}
+                        {ramoOptionsPartial && <span className="text-amber-600"> · {t('parcial')}</span>}
+                      </label>
+                      <div className="relative">
+                        <select 
+                          value={selectedRamo}
+                          title={ramoOptionsPartial ? t('Sin agregado precalculado del ejercicio: solo se listan los ramos de los registros cargados') : undefined}
+                          onChange={(e) => setDrill(e.target.value === 'all' ? { path: [], levels: [] } : { path: [e.target.value], levels: ['ramo'] })}
+                          className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                        >
+                          <option value="all">{t('Todos los Ramos')}</option>
+                          {uniqueRamos.filter(r => r !== 'all').map(r => <option key={r} value={r}>{r}</option>)}
+                        </select>
+                        <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                      </div>
+                    </div>
+
+                    <div className="relative">
+                      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Filtrar por Institución')}</label>
+                      <div className="relative">
+                        <select 
+                          value={selectedUR}
+                          onChange={(e) => selectUR(e.target.value)}
+                          title={serverMode && hasMorePages ? t('Las opciones salen de los registros cargados') : undefined}
+                          className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                        >
+                          <option value="all">{t('Todas las Instituciones (UR)')}</option>
+                          {uniqueURs.filter(u => u !== 'all').map(u => <option key={u} value={u}>{u}</option>)}
+                        </select>
+                        <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                      </div>
+                    </div>
+
                     <div className="relative">
-                      <select 
-                        value={selectedRamo}
-                        onChange={(e) => { setSelectedRamo(e.target.value); setSelectedUR('all'); }}
-                        className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Avance contra')}</label>
+                      <div className="relative">
+                        <select
+                          value={avanceBase}
+                          onChange={(e) => setAvanceBase(e.target.value)}
+                          className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                        >
+                          {AVANCE_BASES.map(base => <option key={base} value={base}>{t(stageLabel(base))}</option>)}
+                        </select>
+                        <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                      </div>
+                    </div>
+
+                    <div className="relative">
+                      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Búsqueda')}</label>
+                      <button
+                        onClick={() => setFiltersOpen(!filtersOpen)}
+                        className={`flex items-center gap-2 border px-5 py-3 rounded-2xl text-xs font-bold shadow-sm transition-all ${filtersOpen || activeFilterCount ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-slate-200 text-slate-700'}`}
                       >
-                        <option value="all">Todos los Ramos</option>
-                        {uniqueRamos.filter(r => r !== 'all').map(r => <option key={r} value={r}>{r}</option>)}
-                      </select>
-                      <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                        <SlidersHorizontal size={14} /> {t('Filtros')}{activeFilterCount > 0 && ` (${activeFilterCount})`}
+                      </button>
                     </div>
-                  </div>
 
-                  <div className="relative">
-                    <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">Filtrar por Institución</label>
                     <div className="relative">
-                      <select 
-                        value={selectedUR}
-                        onChange={(e) => setSelectedUR(e.target.value)}
-                        className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Montos')}</label>
+                      <button
+                        onClick={() => setDisplayOpen(true)}
+                        className={`flex items-center gap-2 bg-white border px-5 py-3 rounded-2xl text-xs font-bold shadow-sm transition-all hover:border-blue-400 ${inpcEstimated ? 'border-amber-300 text-amber-700' : 'border-slate-200 text-slate-700'}`}
                       >
-                        <option value="all">Todas las Instituciones (UR)</option>
-                        {uniqueURs.filter(u => u !== 'all').map(u => <option key={u} value={u}>{u}</option>)}
-                      </select>
-                      <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                        <Coins size={14} /> {displayLabel}
+                      </button>
                     </div>
+
+                    <ExportMenu onExport={handleExport} disabled={filteredAndSortedData.length === 0} />
                   </div>
                 </div>
               </div>
-            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-10">
-              <MetricCard label="Monto Aprobado" value={analytics.totalAprobado} icon={<TrendingUp size={20} />} />
-              <MetricCard label="Monto Pagado" value={analytics.totalPagado} icon={<Wallet size={20} />} color="text-emerald-600" />
-              
-              <div className="bg-white p-6 rounded-[3rem] border border-slate-200 shadow-sm relative overflow-hidden flex flex-col justify-center items-center">
-                 <div className="absolute top-6 left-8 flex items-center gap-3">
-                    <div className="w-8 h-8 bg-amber-50 text-amber-600 rounded-xl flex items-center justify-center">
-                      <Activity size={16} />
-                    </div>
-                    <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Avance</span>
-                 </div>
-                 
-                 <div className="w-full h-40 mt-4">
-                    <ResponsiveContainer width="100%" height="100%">
-                      <PieChart>
-                        <Pie
-                          data={[
-                            { value: Number(analytics.porcentaje) },
-                            { value: 100 - Math.min(Number(analytics.porcentaje), 100) }
-                          ]}
-                          cx="50%"
-                          cy="85%"
-                          startAngle={180}
-                          endAngle={0}
-                          innerRadius={65}
-                          outerRadius={90}
-                          paddingAngle={0}
-                          dataKey="value"
-                          stroke="none"
-                        >
-                          <Cell fill="#f59e0b" />
-                          <Cell fill="#f1f5f9" />
-                        </Pie>
-                      </PieChart>
-                    </ResponsiveContainer>
-                    <div className="absolute bottom-6 w-full text-center left-0">
-                      <span className="text-4xl font-black text-slate-900 tracking-tighter">{analytics.porcentaje}%</span>
-                    </div>
-                 </div>
+              {filtersOpen && (
+                <FiltersPanel
+                  filters={filters}
+                  onChange={updateFilters}
+                  ramoOptions={uniqueRamos.filter(r => r !== 'all')}
+                  urOptions={filterUROptions}
+                  optionsNote={serverMode && (hasMorePages || ramoOptionsPartial) ? t('Las opciones salen de los registros cargados') : null}
+                  presets={presets}
+                  onSavePreset={savePreset}
+                  onDeletePreset={(id) => presetStore.remove(id)}
+                />
+              )}
+
+              {partialNotes.length > 0 && (
+                <PartialDataNotice
+                  summary={t('{count} de {total} registros cargados', { count: i18n.formatNumber(data.length), total: i18n.formatNumber(serverCount ?? 0) })}
+                  notes={partialNotes}
+                  onLoadMore={loadingPage ? undefined : loadNextPage}
+                />
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-10">
+                <MetricCard label={t('Monto Aprobado')} value={analytics.totalAprobado} icon={<TrendingUp size={20} />} reference={analytics.reference?.totalAprobado} referenceLabel={compareYear} formatMoney={formatMoney} />
+                <MetricCard label={t('Monto Pagado')} value={analytics.totalPagado} icon={<Wallet size={20} />} color="text-emerald-600" reference={analytics.reference?.totalPagado} referenceLabel={compareYear} formatMoney={formatMoney} />
+                
+                <AvanceGauge
+                  porcentaje={showCalendarAvance ? analytics.calendar.porcentaje : analytics.porcentaje}
+                  label={showCalendarAvance ? t('Avance vs calendario a {month}', { month: t(MONTH_LABELS[analytics.calendar.cutoff]) }) : t('Avance vs {base}', { base: avanceBaseLabel })}
+                  reference={showCalendarAvance ? null : analytics.reference}
+                  referenceLabel={compareYear}
+                  mode={avanceMode}
+                  onModeChange={analytics.calendar ? setAvanceMode : undefined}
+                />
               </div>
-            </div>
 
-            {data.length === 0 ? (
-              <div className="bg-blue-50/50 border-2 border-dashed border-blue-200 rounded-[3.5rem] p-24 text-center">
-                <Database className="mx-auto mb-6 text-blue-300" size={48} />
-                <h3 className="text-xl font-black text-slate-800 uppercase tracking-tight">Base de datos vacía</h3>
-                <p className="text-slate-500 text-sm mt-2">Sincroniza registros en la colección <code className="bg-blue-100 px-2 py-1 rounded text-blue-700 font-bold">presupuesto_2025</code>.</p>
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-6 mb-10">
+                {INTERMEDIATE_STAGES.map(stage => (
+                  <MetricCard
+                    key={stage.key}
+                    compact
+                    label={t(stage.label)}
+                    value={analytics.totals[stage.key]}
+                    icon={STAGE_ICONS[stage.key]}
+                    reference={analytics.reference?.totals[stage.key]}
+                    referenceLabel={compareYear}
+                    formatMoney={formatMoney}
+                  />
+                ))}
               </div>
-            ) : (
-              view === 'dashboard' ? (
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
-                  <ChartBox title="Gasto por Ramo Administrativo (Top)">
-                    <ResponsiveContainer width="100%" height={380}>
-                      <BarChart data={analytics.topRamos} layout="vertical" margin={{ left: 10 }}>
-                        <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#f1f5f9" />
-                        <XAxis type="number" hide />
-                        <YAxis dataKey="name" type="category" width={110} tick={{fontSize: 9, fontWeight: 800, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
-                        <Tooltip cursor={{fill: '#f8fafc'}} contentStyle={{borderRadius: '20px', border: 'none', fontWeight: 'bold'}} />
-                        <Bar dataKey="aprobado" fill="#2563eb" radius={[0, 8, 8, 0]} barSize={22} />
-                      </BarChart>
-                    </ResponsiveContainer>
-                  </ChartBox>
-
-                  <ChartBox title="Distribución de Pagos Realizados">
-                    <ResponsiveContainer width="100%" height={380}>
-                      <PieChart>
-                        <Pie data={analytics.topRamos} dataKey="pagado" innerRadius={80} outerRadius={110} paddingAngle={8}>
-                          {analytics.topRamos.map((_, i) => <Cell key={i} fill={['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'][i % 5]} />)}
-                        </Pie>
-                        <Tooltip contentStyle={{borderRadius: '20px', border: 'none', fontWeight: 'bold'}} />
-                        <Legend verticalAlign="bottom" align="center" iconType="circle" wrapperStyle={{fontSize: '10px', fontWeight: '800', textTransform: 'uppercase', paddingTop: '20px'}} />
-                      </PieChart>
-                    </ResponsiveContainer>
-                  </ChartBox>
+
+              {data.length === 0 ? (
+                <div className="bg-blue-50/50 border-2 border-dashed border-blue-200 rounded-[3.5rem] p-24 text-center">
+                  <Database className="mx-auto mb-6 text-blue-300" size={48} />
+                  <h3 className="text-xl font-black text-slate-800 uppercase tracking-tight">{t('Base de datos vacía')}</h3>
+                  {sourceType === 'firestore' ? (
+                    <p className="text-slate-500 text-sm mt-2">{t('Sincroniza registros en la colección')} <code className="bg-blue-100 px-2 py-1 rounded text-blue-700 font-bold">{getBudgetCollection(selectedYear)}</code>.</p>
+                  ) : (
+                    <>
+                      <p className="text-slate-500 text-sm mt-2">{t('Importa el CSV, XLSX o JSON de datos abiertos del ejercicio {year} para explorarlo sin conexión.', { year: selectedYear })}</p>
+                      {can('importData') ? (
+                        <button onClick={() => setImportOpen(true)} className="mt-8 inline-flex items-center gap-2 px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200">
+                          <Upload size={14} /> {t('IMPORTAR ARCHIVO')}
+                        </button>
+                      ) : (
+                        <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mt-6">{t('La importación requiere rol de analista')}</p>
+                      )}
+                    </>
+                  )}
                 </div>
               ) : (
-                <div className="bg-white rounded-[3.5rem] border border-slate-200 shadow-sm overflow-hidden mb-10">
-                  <div className="p-8 border-b border-slate-100 flex items-center justify-between">
-                    <h3 className="text-sm font-black text-slate-400 uppercase tracking-widest">Registros Detallados ({filteredAndSortedData.length})</h3>
-                  </div>
-                  <div className="overflow-x-auto">
-                    <table className="w-full text-left border-collapse">
-                      <thead className="bg-slate-50 border-b border-slate-100">
-                        <tr>
-                          <SortHeader label="Clasificación / Institución" sortKey="ramo" currentSort={sortConfig} onSort={requestSort} />
-                          <SortHeader label="Aprobado" sortKey="aprobado" currentSort={sortConfig} onSort={requestSort} align="text-right" />
-                          <SortHeader label="Pagado" sortKey="pagado" currentSort={sortConfig} onSort={requestSort} align="text-right" />
-                          <SortHeader label="Avance" sortKey="avance" currentSort={sortConfig} onSort={requestSort} align="text-center" />
-                        </tr>
-                      </thead>
-                      <tbody className="divide-y divide-slate-100">
-                        {filteredAndSortedData.map(item => (
-                          <tr key={item.id} className="hover:bg-slate-50/50 transition-colors">
-                            <td className="p-8">
-                              <p className="text-[10px] font-bold text-blue-500 mb-1">{item.ur}</p>
-                              <p className="text-sm font-black text-slate-700 leading-tight">{item.ramo}</p>
-                            </td>
-                            <td className="p-8 text-right font-mono text-xs text-slate-400 whitespace-nowrap">
-                              ${item.aprobado.toLocaleString('es-MX')}
-                            </td>
-                            <td className="p-8 text-right font-mono text-sm font-black text-slate-900 whitespace-nowrap">
-                              ${item.pagado.toLocaleString('es-MX')}
-                            </td>
-                            <td className="p-8 text-center">
-                              <div className="inline-flex items-center gap-2 bg-blue-50 px-4 py-2 rounded-2xl text-[11px] font-black text-blue-600 border border-blue-100">
-                                {item.avance.toFixed(1)}%
-                                <ArrowUpRight size={12} />
-                              </div>
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
-              )
-            )}
-          </>
+                view === 'dashboard' ? (
+                  <>
+                    <LayoutPanel
+                      layouts={layouts}
+                      activeId={activeLayoutId}
+                      dirty={layoutDirty}
+                      editing={editingLayout}
+                      shared={layoutStore.type === 'firestore'}
+                      onToggleEdit={() => setEditingLayout(!editingLayout)}
+                      onOpen={openLayout}
+                      onSave={saveLayout}
+                      onUpdate={updateLayout}
+                      onDelete={deleteLayout}
+                      onAddWidget={addWidget}
+                      onReset={() => setDashboardLayout(DEFAULT_LAYOUT)}
+                    />
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
+                      {dashboardLayout.widgets.map((widget, index) => {
+                        const level = widgetLevel(widget);
+                        // Las marcas de alertas y comentarios y el clic para descender son del nivel de la ruta;
+                        // en modo servidor solo sus grupos pueden venir completos del agregado
+                        const isPathLevel = level.key === groupLevel.key;
+                        return (
+                          <DashboardWidget
+                            key={widget.id}
+                            widget={widget}
+                            level={level}
+                            levels={widgetLevels}
+                            groups={rankGroups(widgetGroups[level.key], widget, avanceBase)}
+                            totals={analytics.totals}
+                            porcentaje={Number(analytics.porcentaje)}
+                            reference={analytics.reference}
+                            selectedYear={selectedYear}
+                            compareYear={compareYear}
+                            partial={serverMode && hasMorePages && !(isPathLevel && groupsFromServer)}
+                            severities={isPathLevel ? groupSeverities : undefined}
+                            annotated={isPathLevel ? groupThreads : undefined}
+                            formatMoney={formatMoney}
+                            onSelect={isPathLevel && canDrill ? drillDown : undefined}
+                            editing={editingLayout}
+                            isFirst={index === 0}
+                            isLast={index === dashboardLayout.widgets.length - 1}
+                            onChange={(changes) => changeWidget(widget.id, changes)}
+                            onMove={(offset) => setDashboardLayout(prev => moveWidget(prev, widget.id, offset))}
+                            onRemove={() => setDashboardLayout(prev => removeWidget(prev, widget.id))}
+                          />
+                        );
+                      })}
+
+                      <div className="lg:col-span-2">
+                        <ComparisonPanel
+                          comparison={dashboardLayout.comparison}
+                          onChange={(comparison) => setDashboardLayout(prev => ({ ...prev, comparison }))}
+                          options={comparisonOptions}
+                          items={comparisonItems}
+                          avanceBase={avanceBase}
+                          formatMoney={formatMoney}
+                        />
+                      </div>
+
+                      <div className="lg:col-span-2">
+                        <ChartBox title={t('Momentos Contables por {level}', { level: t(groupLevel.label) })}>
+                          <StagesFunnelChart groups={analytics.groups} levelLabel={t(groupLevel.label)} totals={analytics.totals} avanceBase={avanceBase} formatMoney={formatMoney} />
+                        </ChartBox>
+                      </div>
+
+                      {analytics.forecast && (
+                        <div className="lg:col-span-2">
+                          <ForecastPanel
+                            summary={analytics.forecast}
+                            groups={analytics.forecast.groups}
+                            settings={forecastSettings}
+                            onChange={setForecastSettings}
+                            month={referenceMonth}
+                            year={selectedYear}
+                            ramos={uniqueRamos.filter(r => r !== 'all')}
+                            levelLabel={t(groupLevel.label)}
+                            avanceBaseLabel={avanceBaseLabel}
+                            hasProfile={datasetProfile !== null}
+                            formatMoney={formatMoney}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  </>
+                ) : view === 'trend' ? (
+                  <TrendView records={filteredAndSortedData} groupKey={groupLevel.key} formatMoney={formatMoney} formatAxis={formatAxis} />
+                ) : view === 'quality' ? (
+                  <DataQualityView
+                    report={quality}
+                    records={data}
+                    excludeInvalid={excludeInvalid}
+                    onToggleExclude={setExcludeInvalid}
+                    note={serverMode ? t('Conteos parciales: revisión de {count} de {total} registros cargados; al excluir inválidos los totales suman solo esos registros', { count: i18n.formatNumber(data.length), total: i18n.formatNumber(serverCount ?? 0) }) : null}
+                  />
+                ) : view === 'treemap' ? (
+                  <TreemapView
+                    records={scopedData}
+                    levels={availableLevels.slice(nextLevelIndex)}
+                    basePath={drillPath}
+                    baseLevels={drillLevels}
+                    avanceBase={avanceBase}
+                    formatMoney={formatMoney}
+                    onSelect={(path, levels) => setDrill({ path, levels })}
+                  />
+                ) : (
+                  <ExplorerTable
+                    title={isComparing
+                      ? `${t('Comparativo por {level}', { level: groupLevelIndex > 1 ? t(groupLevel.label) : t('Ramo y UR') })} (${filteredAndSortedData.length})`
+                      : `${t('Registros Detallados')} (${filteredAndSortedData.length})`}
+                    note={serverMode ? t('{count} de {total} registros cargados · ramos, URs, montos y orden por monto en el servidor', { count: i18n.formatNumber(data.length), total: i18n.formatNumber(serverCount ?? 0) }) : null}
+                    rows={filteredAndSortedData}
+                    isComparing={isComparing}
+                    compareYear={compareYear}
+                    sortConfig={sortConfig}
+                    onSort={requestSort}
+                    canSort={serverMode ? (key) => !!SERVER_SORT_FIELDS[key] : undefined}
+                    avanceBase={avanceBase}
+                    alerts={alerts}
+                    changes={tableChanges}
+                    threads={threadsByKey}
+                    forecast={forecastOptions !== null}
+                    formatMoney={formatMoney}
+                    onAnnotate={(row) => setAnnotationTarget(rowTarget(row))}
+                    loadingMore={loadingPage}
+                    onEndReached={serverMode && hasMorePages ? loadNextPage : undefined}
+                  />
+                )
+              )}
+            </>
+          )}
+        </main>
+
+        {alertsOpen && (
+          <AlertsPanel
+            rules={rules}
+            counts={alerts.counts}
+            total={alerts.total}
+            rowCount={filteredAndSortedData.length}
+            shared={ruleStore.type === 'firestore'}
+            canEdit={can('editRules')}
+            onSave={saveRule}
+            onDelete={deleteRule}
+            onClose={() => setAlertsOpen(false)}
+          />
         )}
-      </main>
+
+        {annotationTarget && (
+          <AnnotationsPanel
+            target={annotationTarget}
+            thread={threadsByKey.get(annotationTarget.key)}
+            canAnnotate={can('annotate')}
+            onComment={addComment}
+            onSetStatus={setThreadStatus}
+            onClose={() => setAnnotationTarget(null)}
+          />
+        )}
+
+        {displayOpen && (
+          <DisplaySettingsPanel
+            settings={displaySettings}
+            years={availableYears}
+            viewYears={viewYears}
+            onChange={setDisplaySettings}
+            onClose={() => setDisplayOpen(false)}
+          />
+        )}
+
+        {usersOpen && (
+          <UsersPanel db={db} appId={appId} currentUid={user?.uid} onClose={() => setUsersOpen(false)} />
+        )}
+
+        {changesOpen && changes && (
+          <ChangesPanel
+            changes={changes}
+            records={data}
+            onReviewed={() => { markChangesReviewed(); setChangesOpen(false); }}
+            onClose={() => setChangesOpen(false)}
+          />
+        )}
+
+        {importOpen && (
+          <ImportPanel defaultYear={selectedYear} onImport={handleImport} onClose={() => setImportOpen(false)} />
+        )}
+      </div>
+
+      {printing && (
+        <PrintReport
+          title={dynamicTitle}
+          subtitle={subtitle}
+          analytics={analytics}
+          totals={buildTotalsRow(analytics)}
+          groupLabel={t(groupLevel.label)}
+          rows={filteredAndSortedData}
+          columns={exportColumns}
+          formatMoney={formatMoney}
+          selectedYear={selectedYear}
+          compareYear={compareYear}
+          avanceBase={avanceBase}
+        />
+      )}
+    </I18nContext.Provider>
+  );
+};
+
+// Tabla del Explorador virtualizada: solo se montan las filas visibles
+const ExplorerTable = ({ title, note, rows, isComparing, compareYear, sortConfig, onSort, canSort = () => true, avanceBase, alerts, changes, threads, forecast = false, onAnnotate, formatMoney = defaultFormatMoney, loadingMore, onEndReached }) => {
+  const { t } = useI18n();
+  const { containerRef, bodyRef, onScroll, start, end, padTop, padBottom } = useVirtualRows(rows.length, { onEndReached });
+  const columnCount = 3 + INTERMEDIATE_STAGES.length + (isComparing ? 2 : 0) + (forecast ? 2 : 0);
+
+  return (
+    <div className="bg-white rounded-[3.5rem] border border-slate-200 shadow-sm overflow-hidden mb-10">
+      <div className="p-8 border-b border-slate-100 flex items-center justify-between">
+        <h3 className="text-sm font-black text-slate-400 uppercase tracking-widest">{title}</h3>
+        {note && <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">{note}</p>}
+      </div>
+      <div ref={containerRef} onScroll={onScroll} className="overflow-auto max-h-[75vh]">
+        <table className="w-full text-left border-collapse">
+          <thead className="bg-slate-50 border-b border-slate-100 sticky top-0 z-10">
+            <tr>
+              <SortHeader label={t('Clasificación / Institución')} sortKey="ramo" currentSort={sortConfig} onSort={onSort} canSort={canSort} />
+              <SortHeader label={t('Aprobado')} sortKey="aprobado" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />
+              {isComparing && <SortHeader label={`Δ vs ${compareYear}`} sortKey="deltaAprobado" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />}
+              {INTERMEDIATE_STAGES.map(stage => (
+                <SortHeader key={stage.key} label={t(stage.label)} sortKey={stage.key} currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />
+              ))}
+              <SortHeader label={t('Pagado')} sortKey="pagado" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />
+              {isComparing && <SortHeader label={`Δ vs ${compareYear}`} sortKey="deltaPagado" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />}
+              <SortHeader label={avanceBase === 'modificado' ? t('Avance (Mod.)') : t('Avance')} sortKey="avance" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-center" />
+              {forecast && <SortHeader label={t('Cierre proyectado')} sortKey="proyectado" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />}
+              {forecast && <SortHeader label={t('Subejercicio')} sortKey="subejercicio" currentSort={sortConfig} onSort={onSort} canSort={canSort} align="text-right" />}
+            </tr>
+          </thead>
+          <tbody ref={bodyRef} className="divide-y divide-slate-100">
+            {padTop > 0 && <tr style={{ height: padTop }}><td colSpan={columnCount} /></tr>}
+            {rows.slice(start, end).map(item => {
+              const previous = changes?.changed.get(item.id);
+              const isNew = changes?.addedIds.has(item.id);
+              const thread = threads?.get(rowTarget(item).key);
+              return (
+                <tr key={item.id} data-row className={`transition-colors ${previous || isNew ? 'bg-amber-50/60 hover:bg-amber-50' : 'hover:bg-slate-50/50'}`}>
+                  <td className="p-8 border-l-4" style={{ borderLeftColor: alerts.byRow.has(item.id) ? getSeverity(alerts.byRow.get(item.id)[0].severity).color : 'transparent' }}>
+                    <p className="text-[10px] font-bold text-blue-500 mb-1">
+                      {item.ur}
+                      {isNew && <span className="ml-2 bg-amber-500 text-white px-2 py-0.5 rounded-full text-[9px] font-black">{t('NUEVO')}</span>}
+                    </p>
+                    <div className="flex items-start justify-between gap-3">
+                      <p className="text-sm font-black text-slate-700 leading-tight">{item.ramo}</p>
+                      {onAnnotate && <CommentButton thread={thread} onClick={() => onAnnotate(item)} />}
+                    </div>
+                    {DETAIL_LEVELS.some(key => item[key]) && (
+                      <p className="text-[10px] font-bold text-slate-400 mt-1">{DETAIL_LEVELS.map(key => item[key]).filter(Boolean).join(' › ')}</p>
+                    )}
+                  </td>
+                  <td className="p-8 text-right font-mono text-xs text-slate-400 whitespace-nowrap">
+                    {formatMoney(item.aprobado)}
+                    {isComparing && <p className="text-[10px] text-slate-300 mt-1">{compareYear}: {formatMoney(item.refAprobado)}</p>}
+                    {previous && previous.aprobado !== item.aprobado && <PreviousValue value={formatMoney(previous.aprobado)} />}
+                  </td>
+                  {isComparing && (
+                    <td className="p-8 text-right whitespace-nowrap">
+                      <DeltaCell abs={item.deltaAprobado} pct={item.pctAprobado} formatMoney={formatMoney} />
+                    </td>
+                  )}
+                  {INTERMEDIATE_STAGES.map(stage => (
+                    <td key={stage.key} className="p-8 text-right font-mono text-xs text-slate-400 whitespace-nowrap">
+                      {formatMoney(item[stage.key])}
+                    </td>
+                  ))}
+                  <td className="p-8 text-right font-mono text-sm font-black text-slate-900 whitespace-nowrap">
+                    {formatMoney(item.pagado)}
+                    {isComparing && <p className="text-[10px] font-bold text-slate-300 mt-1">{compareYear}: {formatMoney(item.refPagado)}</p>}
+                    {previous && previous.pagado !== item.pagado && <PreviousValue value={formatMoney(previous.pagado)} />}
+                  </td>
+                  {isComparing && (
+                    <td className="p-8 text-right whitespace-nowrap">
+                      <DeltaCell abs={item.deltaPagado} pct={item.pctPagado} formatMoney={formatMoney} />
+                    </td>
+                  )}
+                  <td className="p-8 text-center">
+                    <AvanceBadge avance={item.avance} alerts={alerts.byRow.get(item.id)} />
+                    {isComparing && (
+                      <p className="text-[10px] font-black mt-2">
+                        <DeltaValue value={item.deltaAvance} suffix=" pp" />
+                      </p>
+                    )}
+                  </td>
+                  {forecast && (
+                    <td className="p-8 text-right font-mono text-xs text-slate-500 whitespace-nowrap">
+                      {formatMoney(item.proyectado)}
+                      <p className="text-[10px] font-bold text-slate-300 mt-1">{item.avanceProyectado.toFixed(1)}%</p>
+                    </td>
+                  )}
+                  {forecast && (
+                    <td className={`p-8 text-right font-mono text-xs whitespace-nowrap ${item.subejercicio > 0 ? 'text-amber-500' : 'text-slate-300'}`}>
+                      {formatMoney(item.subejercicio)}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+            {padBottom > 0 && <tr style={{ height: padBottom }}><td colSpan={columnCount} /></tr>}
+            {loadingMore && (
+              <tr><td colSpan={columnCount} className="p-8 text-center text-[10px] font-black text-slate-400 uppercase tracking-widest">{t('Cargando más registros...')}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
     </div>
   );
 };
 
+// Monto de la visita anterior en filas que cambiaron, ya con formato
+const PreviousValue = ({ value }) => {
+  const { t } = useI18n();
+  return <p className="text-[10px] font-bold text-amber-600 mt-1">{t('antes:')} {value}</p>;
+};
+
+// Abre el hilo de comentarios; ámbar si sigue abierto, gris si se resolvió
+const CommentButton = ({ thread, onClick }) => {
+  const { t } = useI18n();
+  return (
+    <button
+      onClick={onClick}
+      aria-label={t('Comentarios')}
+      title={thread ? t('{count} comentario(s) · {status}', { count: thread.comments.length, status: thread.status === 'resolved' ? t('resuelto') : t('abierto') }) : t('Comentar')}
+      className={`shrink-0 flex items-center gap-1 text-[10px] font-black transition-colors ${
+        !thread ? 'text-slate-200 hover:text-blue-500' : thread.status === 'resolved' ? 'text-slate-400 hover:text-slate-600' : 'text-amber-500 hover:text-amber-600'
+      }`}
+    >
+      <MessageSquare size={14} />
+      {thread && thread.comments.length}
+    </button>
+  );
+};
+
 // Componente para Encabezados Ordenables
-const SortHeader = ({ label, sortKey, currentSort, onSort, align = "text-left" }) => {
+const SortHeader = ({ label, sortKey, currentSort, onSort, canSort = () => true, align = "text-left" }) => {
+  const { t } = useI18n();
   const isActive = currentSort.key === sortKey;
+  // En modo servidor solo se ordena por los campos que Firestore puede ordenar
+  if (!canSort(sortKey)) return (
+    <th title={t('Este orden no está disponible en colecciones grandes')} className={`p-8 select-none ${align}`}>
+      <span className="text-[10px] font-black uppercase tracking-widest text-slate-400">{label}</span>
+    </th>
+  );
   
   return (
     <th 
@@ -419,26 +1770,109 @@ const SortHeader = ({ label, sortKey, currentSort, onSort, align = "text-left" }
   );
 };
 
-const MetricCard = ({ label, value, icon, color = "text-slate-900" }) => (
-  <div className="bg-white p-8 rounded-[3rem] border border-slate-200 shadow-sm hover:border-blue-400 transition-all group overflow-hidden h-full flex flex-col justify-center">
-    <div className="flex items-center gap-4 mb-6">
-      <div className="w-12 h-12 bg-slate-100 rounded-2xl flex items-center justify-center text-blue-600 group-hover:bg-blue-600 group-hover:text-white transition-all">{icon}</div>
-      <span className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">{label}</span>
+// Aviso del modo servidor: qué cálculos cubren solo las páginas cargadas
+const PartialDataNotice = ({ summary, notes, onLoadMore }) => {
+  const { t } = useI18n();
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-[2rem] px-8 py-5 mb-10 flex flex-col md:flex-row md:items-center gap-4">
+      <div className="flex-1">
+        <p className="text-[10px] font-black text-amber-600 uppercase tracking-widest">{t('Datos parciales')} · {summary}</p>
+        {notes.map(note => <p key={note} className="text-xs font-bold text-amber-700 mt-1">{note}</p>)}
+      </div>
+      {onLoadMore && (
+        <button onClick={onLoadMore} className="px-5 py-3 rounded-2xl text-[10px] font-black bg-white border border-amber-200 text-amber-700 hover:border-amber-400 transition-all whitespace-nowrap">
+          {t('CARGAR MÁS')}
+        </button>
+      )}
     </div>
-    <h2 className={`text-4xl font-black tracking-tight ${color}`}>
-      ${typeof value === 'number' ? value.toLocaleString('es-MX') : value}
-    </h2>
-  </div>
-);
+  );
+};
 
-const ChartBox = ({ title, children }) => (
-  <div className="bg-white p-10 rounded-[3.5rem] border border-slate-200 shadow-sm">
-    <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] mb-12 flex items-center gap-3">
-      <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
-      {title}
-    </h3>
-    {children}
-  </div>
-);
+// Avance de la fila; con alertas toma el color de la regla más severa
+const AvanceBadge = ({ avance, alerts }) => {
+  const { t } = useI18n();
+  const severity = alerts ? getSeverity(alerts[0].severity) : null;
+  return (
+    <>
+      <div
+        className={`inline-flex items-center gap-2 px-4 py-2 rounded-2xl text-[11px] font-black border ${severity ? '' : 'bg-blue-50 text-blue-600 border-blue-100'}`}
+        style={severity ? { color: severity.color, borderColor: severity.color, backgroundColor: `${severity.color}14` } : undefined}
+      >
+        {avance.toFixed(1)}%
+        {severity ? <BellRing size={12} /> : <ArrowUpRight size={12} />}
+      </div>
+      {alerts && (
+        <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest mt-2">{alerts.map(rule => t(rule.name)).join(' · ')}</p>
+      )}
+    </>
+  );
+};
+
+// Menú de perfil: sesión, rol y acciones de cuenta
+const ProfileMenu = ({ user, role, onLogin, onLogout, onManageUsers }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const isGuest = !user || user.isAnonymous;
+  const close = (action) => () => { setOpen(false); action(); };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={t('Perfil')}
+        className="w-12 h-12 rounded-2xl bg-slate-100 border border-slate-200 text-slate-500 hover:text-blue-600 flex items-center justify-center overflow-hidden transition-colors"
+      >
+        {user?.photoURL ? <img src={user.photoURL} alt="" className="w-full h-full object-cover" /> : <UserCircle size={22} />}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border border-slate-200 rounded-2xl shadow-xl z-40 p-2">
+          <div className="px-4 py-3 border-b border-slate-100 mb-2">
+            <p className="text-xs font-black text-slate-700 truncate">{isGuest ? t('Invitado') : (user.displayName || user.email)}</p>
+            <p className="text-[9px] font-black text-blue-600 uppercase tracking-widest mt-1">{t(getRoleLabel(role))}</p>
+          </div>
+          {isGuest ? (
+            <button onClick={close(onLogin)} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 hover:text-blue-600 transition-colors">
+              <LogIn size={14} /> {t('Iniciar sesión')}
+            </button>
+          ) : (
+            <>
+              {onManageUsers && (
+                <button onClick={close(onManageUsers)} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 hover:text-blue-600 transition-colors">
+                  <Users size={14} /> {t('Usuarios y roles')}
+                </button>
+              )}
+              <button onClick={close(onLogout)} className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 hover:text-red-500 transition-colors">
+                <LogOut size={14} /> {t('Cerrar sesión')}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Ruta de exploración: cada nivel anterior es un enlace para volver a él
+const Breadcrumb = ({ rootTitle, path, levels, onNavigate }) => {
+  const { t } = useI18n();
+  return (
+    <>
+      {path.length > 0 && (
+        <nav className="flex flex-wrap items-center gap-1 mb-3 text-[10px] font-black uppercase tracking-widest text-slate-400">
+          {[rootTitle, ...path.slice(0, -1)].map((name, i) => (
+            <React.Fragment key={i}>
+              <button onClick={() => onNavigate(i)} className="hover:text-blue-600 transition-colors">{name}</button>
+              <ChevronRight size={12} />
+            </React.Fragment>
+          ))}
+          <span className="text-blue-600">{t(getLevelLabel(levels[levels.length - 1]))}</span>
+        </nav>
+      )}
+      <h2 className="text-4xl font-black text-slate-900 leading-tight tracking-tight mb-2 uppercase">
+        {path.length ? path[path.length - 1] : rootTitle}
+      </h2>
+    </>
+  );
+};
 
 export default App;
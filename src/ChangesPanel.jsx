@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import { X, Plus, Minus, ArrowRightLeft } from 'lucide-react';
+import { useI18n } from './i18n';
+
+const LIST_LIMIT = 50;
+
+/**
+ * Cambios contra la instantánea de la visita anterior: registros con montos
+ * modificados, agregados y eliminados.
+ */
+const ChangesPanel = ({ changes, records, onReviewed, onClose }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+  const changedRows = useMemo(
+    () => records.filter(r => changes.changed.has(r.id)).map(r => ({ ...r, previous: changes.changed.get(r.id) })),
+    [records, changes]
+  );
+  const since = changes.since ? formatDate(changes.since) : null;
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-amber-500 rounded-full animate-pulse"></div>
+            {t('Cambios desde {since}', { since: since || t('la visita anterior') })}
+          </h3>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        {changes.total === 0 ? (
+          <p className="text-sm font-bold text-slate-500">{t('Los datos no han cambiado desde la visita anterior.')}</p>
+        ) : (
+          <div className="space-y-8">
+            <ChangeSection icon={<ArrowRightLeft size={14} />} title={t('Montos modificados')} rows={changedRows} render={row => (
+              <>
+                {row.previous.aprobado !== row.aprobado && <AmountChange label={t('Aprobado')} before={row.previous.aprobado} after={row.aprobado} />}
+                {row.previous.pagado !== row.pagado && <AmountChange label={t('Pagado')} before={row.previous.pagado} after={row.pagado} />}
+              </>
+            )} />
+            <ChangeSection icon={<Plus size={14} />} title={t('Registros nuevos')} rows={changes.added} render={row => (
+              <span className="font-mono text-xs text-slate-500">${formatNumber(row.aprobado)}</span>
+            )} />
+            <ChangeSection icon={<Minus size={14} />} title={t('Registros eliminados')} rows={changes.removed} render={row => (
+              <span className="font-mono text-xs text-slate-400 line-through">${formatNumber(row.aprobado)}</span>
+            )} />
+          </div>
+        )}
+
+        <div className="mt-8 flex justify-end">
+          <button onClick={onReviewed} className="px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 transition-all">
+            {t('MARCAR COMO REVISADO')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ChangeSection = ({ icon, title, rows, render }) => {
+  const { t, formatNumber } = useI18n();
+  if (rows.length === 0) return null;
+  return (
+    <div>
+      <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3 flex items-center gap-2">
+        {icon} {title} ({formatNumber(rows.length)})
+      </p>
+      <div className="divide-y divide-slate-100 border border-slate-200 rounded-[2rem] overflow-hidden">
+        {rows.slice(0, LIST_LIMIT).map(row => (
+          <div key={row.id} className="flex items-center justify-between gap-4 px-6 py-4">
+            <div className="min-w-0">
+              <p className="text-[10px] font-bold text-blue-500 truncate">{row.ur}</p>
+              <p className="text-xs font-black text-slate-700 truncate">{row.ramo}</p>
+            </div>
+            <div className="text-right shrink-0">{render(row)}</div>
+          </div>
+        ))}
+      </div>
+      {rows.length > LIST_LIMIT && (
+        <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-2 ml-2">{t('y {count} más', { count: formatNumber(rows.length - LIST_LIMIT) })}</p>
+      )}
+    </div>
+  );
+};
+
+const AmountChange = ({ label, before, after }) => {
+  const { formatNumber } = useI18n();
+  return (
+    <p className="font-mono text-xs text-slate-500">
+      <span className="text-[9px] font-black uppercase tracking-widest text-slate-400 mr-2">{label}</span>
+      <span className="line-through text-slate-400">${formatNumber(before)}</span>
+      {' → '}
+      <span className={`font-black ${after > before ? 'text-emerald-600' : 'text-red-500'}`}>${formatNumber(after)}</span>
+    </p>
+  );
+};
+
+export default ChangesPanel;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, LabelList } from 'recharts';
+import { ChevronDown } from 'lucide-react';
+import { BUDGET_STAGES, refKey } from './dataSources';
+import { getSeverity } from './alertRules';
+import { getMetric } from './dashboardLayouts';
+import { defaultFormatMoney } from './displaySettings';
+import { useI18n } from './i18n';
+
+/**
+ * Gráficas compartidas por el dashboard, los widgets y el reporte impreso.
+ */
+
+// Tarjeta con título que enmarca cada gráfica
+export const ChartBox = ({ title, children }) => (
+  <div className="bg-white p-10 rounded-[3.5rem] border border-slate-200 shadow-sm">
+    <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] mb-12 flex items-center gap-3">
+      <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+// Con ancho fijo el gráfico se dibuja directo (el contenedor oculto del reporte no tiene medidas)
+export const ChartFrame = ({ width, height, children }) => (
+  typeof width === 'number'
+    ? React.cloneElement(children, { width, height })
+    : <ResponsiveContainer width={width} height={height}>{children}</ResponsiveContainer>
+);
+
+export const legendStyle = {fontSize: '10px', fontWeight: '800', textTransform: 'uppercase', paddingTop: '20px'};
+export const tooltipStyle = {borderRadius: '20px', border: 'none', fontWeight: 'bold'};
+// Paleta por categoría; pasado el décimo grupo los tonos se generan para que no se repitan
+const CHART_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#64748b'];
+export const chartColor = (index) => index < CHART_COLORS.length ? CHART_COLORS[index] : `hsl(${(index * 137.5) % 360}, 65%, 50%)`;
+
+export const formatPercent = (value) => `${value.toFixed(1)}%`;
+
+// Nombre del grupo en el evento de clic de sectores de recharts
+const clickedName = (entry) => entry?.payload?.name ?? entry?.name;
+
+// Gráficos del dashboard, reutilizados en el reporte impreso
+export const TopRamosChart = ({ data, metric = 'aprobado', selectedYear, compareYear, severities = {}, annotated = {}, formatMoney = defaultFormatMoney, onSelect, width = "100%", height = 380, animate = true }) => {
+  const { t } = useI18n();
+  const { label, type } = getMetric(metric);
+  // Los grupos traen el monto de referencia del aprobado y el pagado
+  const referenceField = refKey(metric);
+  const showReference = compareYear && data.some(entry => typeof entry[referenceField] === 'number');
+  return (
+    <ChartFrame width={width} height={height}>
+      <BarChart data={data} layout="vertical" margin={{ left: 10 }} onClick={onSelect ? (state) => onSelect(state?.activeLabel) : undefined} style={onSelect ? { cursor: 'pointer' } : undefined}>
+        <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#f1f5f9" />
+        <XAxis type="number" hide />
+        <YAxis dataKey="name" type="category" width={110} tick={<GroupTick annotated={annotated} />} axisLine={false} tickLine={false} />
+        <Tooltip cursor={{fill: '#f8fafc'}} contentStyle={tooltipStyle} formatter={(value) => type === 'percent' ? formatPercent(value) : formatMoney(value)} />
+        <Bar dataKey={metric} name={`${t(label)} ${selectedYear}`} fill="#2563eb" radius={[0, 8, 8, 0]} barSize={showReference ? 12 : 22} isAnimationActive={animate}>
+          {data.map(entry => (
+            <Cell key={entry.name} fill={severities[entry.name] ? getSeverity(severities[entry.name]).color : '#2563eb'} />
+          ))}
+        </Bar>
+        {showReference && (
+          <Bar dataKey={referenceField} name={`${t(label)} ${compareYear}`} fill="#cbd5e1" radius={[0, 8, 8, 0]} barSize={12} isAnimationActive={animate} />
+        )}
+        {showReference && (
+          <Legend verticalAlign="bottom" align="center" iconType="circle" wrapperStyle={legendStyle} />
+        )}
+      </BarChart>
+    </ChartFrame>
+  );
+};
+
+// Etiqueta del eje con marca para grupos que tienen comentarios
+const GroupTick = ({ x, y, payload, annotated }) => (
+  <text x={x} y={y} dy={3} textAnchor="end" fontSize={9} fontWeight={800} fill="#94a3b8">
+    {annotated[payload.value] && <tspan fill={annotated[payload.value] === 'resolved' ? '#cbd5e1' : '#f59e0b'}>● </tspan>}
+    {payload.value}
+  </text>
+);
+
+export const PaymentsPieChart = ({ data, metric = 'pagado', formatMoney = defaultFormatMoney, onSelect, width = "100%", height = 380, animate = true }) => (
+  <ChartFrame width={width} height={height}>
+    <PieChart>
+      <Pie data={data} dataKey={metric} innerRadius={80} outerRadius={110} paddingAngle={8} isAnimationActive={animate} onClick={onSelect ? (entry) => onSelect(clickedName(entry)) : undefined} style={onSelect ? { cursor: 'pointer' } : undefined}>
+        {data.map((_, i) => <Cell key={i} fill={chartColor(i)} />)}
+      </Pie>
+      <Tooltip contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+      <Legend verticalAlign="bottom" align="center" iconType="circle" wrapperStyle={legendStyle} />
+    </PieChart>
+  </ChartFrame>
+);
+
+const STAGE_COLORS = ['#2563eb', '#6366f1', '#8b5cf6', '#f59e0b', '#10b981', '#059669'];
+
+// Embudo de momentos contables; el porcentaje de cada barra es contra la base del avance
+export const StagesFunnelChart = ({ groups, levelLabel, totals, avanceBase, formatMoney = defaultFormatMoney, width = "100%", height = 320, animate = true }) => {
+  const { t } = useI18n();
+  const [group, setGroup] = useState('all');
+  const selected = groups.find(g => g.name === group) || totals;
+  const baseAmount = avanceBase === 'modificado' && selected.modificado > 0 ? selected.modificado : selected.aprobado;
+  const chartData = BUDGET_STAGES.map(stage => ({
+    name: t(stage.label),
+    value: selected[stage.key],
+    pct: baseAmount > 0 ? `${((selected[stage.key] / baseAmount) * 100).toFixed(1)}%` : '—'
+  }));
+
+  return (
+    <>
+      <div className="relative inline-block mb-6">
+        <select
+          value={groups.some(g => g.name === group) ? group : 'all'}
+          onChange={(e) => setGroup(e.target.value)}
+          className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+        >
+          <option value="all">{t('Todos ({level}) de la vista', { level: levelLabel })}</option>
+          {groups.map(g => <option key={g.name} value={g.name}>{g.name}</option>)}
+        </select>
+        <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+      </div>
+      <ChartFrame width={width} height={height}>
+        <BarChart data={chartData} layout="vertical" margin={{ left: 10, right: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#f1f5f9" />
+          <XAxis type="number" hide />
+          <YAxis dataKey="name" type="category" width={110} tick={{fontSize: 9, fontWeight: 800, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
+          <Tooltip cursor={{fill: '#f8fafc'}} contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+          <Bar dataKey="value" name={t('Monto')} radius={[0, 8, 8, 0]} barSize={26} isAnimationActive={animate}>
+            {chartData.map((_, i) => <Cell key={i} fill={STAGE_COLORS[i % STAGE_COLORS.length]} />)}
+            <LabelList dataKey="pct" position="right" style={{fontSize: 10, fontWeight: 900, fill: '#64748b'}} />
+          </Bar>
+        </BarChart>
+      </ChartFrame>
+    </>
+  );
+};
@@ -0,0 +1,115 @@
+import React from 'react';
+import { ChevronDown, Pin } from 'lucide-react';
+import { BUDGET_STAGES, computeAvance } from './dataSources';
+import { HIERARCHY } from './hierarchy';
+import { COMPARISON_LEVELS, toPin, pinPath } from './dashboardLayouts';
+import { useI18n } from './i18n';
+
+const levelLabel = (key) => HIERARCHY.find(level => level.key === key).label;
+const pathKey = (path) => path.join('::');
+
+/**
+ * Dos ramos o URs fijados lado a lado con sus momentos contables, su avance y
+ * la diferencia entre ambos. Se comparan sobre todo el ejercicio, sin la ruta
+ * ni los filtros de la vista.
+ */
+const ComparisonPanel = ({ comparison, onChange, options, items, avanceBase, formatMoney }) => {
+  const { t } = useI18n();
+  const { level } = comparison;
+  const paths = comparison.pins.map(pinPath);
+  const [first, second] = items;
+
+  const pin = (slot, key) => {
+    const next = [paths[0] || null, paths[1] || null];
+    next[slot] = options.find(path => pathKey(path) === key) || null;
+    onChange({ ...comparison, pins: next.filter(Boolean).map(toPin) });
+  };
+
+  const rows = [
+    ...BUDGET_STAGES.map(stage => ({ key: stage.key, label: t(stage.label), value: (item) => item.totals[stage.key], format: formatMoney })),
+    { key: 'avance', label: t('Avance'), value: (item) => computeAvance(item.totals, avanceBase), format: (value) => `${value.toFixed(1)}%` }
+  ];
+
+  return (
+    <div className="bg-white p-10 rounded-[3.5rem] border border-slate-200 shadow-sm">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-6 mb-10">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+          <Pin size={14} className="text-blue-600" />
+          {t('Comparación lado a lado')}
+        </h3>
+        <div className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200 shrink-0">
+          {COMPARISON_LEVELS.map(key => (
+            <button
+              key={key}
+              onClick={() => onChange({ level: key, pins: [] })}
+              className={`px-4 py-2.5 rounded-xl text-[10px] font-black uppercase transition-all ${level === key ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(levelLabel(key))}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
+        {[0, 1].map(slot => (
+          <div key={slot} className="relative">
+            <select
+              value={paths[slot] ? pathKey(paths[slot]) : ''}
+              onChange={(e) => pin(slot, e.target.value)}
+              disabled={slot === 1 && !paths[0]}
+              className="w-full appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm disabled:bg-slate-50 disabled:text-slate-300"
+            >
+              <option value="">{t('Fijar {level}...', { level: t(levelLabel(level)) })}</option>
+              {options.map(path => <option key={pathKey(path)} value={pathKey(path)}>{path.join(' › ')}</option>)}
+            </select>
+            <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+          </div>
+        ))}
+      </div>
+
+      {first ? (
+        <table className="w-full text-left border-collapse">
+          <thead>
+            <tr className="border-b border-slate-100">
+              <th className="py-3 text-[9px] font-black text-slate-400 uppercase tracking-widest"></th>
+              {items.map((item, i) => (
+                <th key={i} className="py-3 px-4 text-[10px] font-black text-slate-700 uppercase tracking-tight text-right">{item.path[item.path.length - 1]}</th>
+              ))}
+              {second && <th className="py-3 px-4 text-[9px] font-black text-slate-400 uppercase tracking-widest text-right">{t('Diferencia')}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const values = items.map(row.value);
+              const max = Math.max(...values, 0);
+              return (
+                <tr key={row.key} className="border-b border-slate-50">
+                  <td className="py-4 text-[10px] font-black text-slate-400 uppercase tracking-widest">{row.label}</td>
+                  {values.map((value, i) => (
+                    <td key={i} className="py-4 px-4 text-right">
+                      <span className="text-sm font-black text-slate-900">{row.format(value)}</span>
+                      <div className="h-1.5 bg-slate-100 rounded-full mt-2 overflow-hidden">
+                        <div className={`h-full rounded-full ${i === 0 ? 'bg-blue-600' : 'bg-emerald-500'}`} style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }}></div>
+                      </div>
+                    </td>
+                  ))}
+                  {second && (
+                    <td className={`py-4 px-4 text-right text-xs font-black ${values[0] - values[1] < 0 ? 'text-red-500' : 'text-emerald-600'}`}>
+                      {row.key === 'avance' ? `${(values[0] - values[1]).toFixed(1)} pp` : row.format(values[0] - values[1])}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-center text-[10px] font-black text-slate-400 uppercase tracking-widest py-10">
+          {t('Fija dos elementos para compararlos lado a lado')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,164 @@
+import React from 'react';
+import { Tooltip, Treemap } from 'recharts';
+import { ChevronDown, ArrowLeft, ArrowRight, Trash2, Maximize2, Minimize2 } from 'lucide-react';
+import { computeDelta } from './dataSources';
+import { WIDGET_TYPES, getMetricsFor, getMetric, AUTO_GROUPING, TOP_N_OPTIONS } from './dashboardLayouts';
+import { ChartBox, ChartFrame, chartColor, formatPercent, TopRamosChart, PaymentsPieChart } from './Charts';
+import { DeltaValue, DeltaCell } from './MetricCards';
+import { TreemapCell, TreemapTooltip } from './TreemapView';
+import { useI18n } from './i18n';
+
+// Widget del tablero: el título sale de la métrica y la agrupación; en edición muestra sus controles
+const DashboardWidget = ({ widget, level, levels, groups, partial = false, totals, porcentaje, reference, selectedYear, compareYear, severities, annotated, formatMoney, onSelect, editing, isFirst, isLast, onChange, onMove, onRemove }) => {
+  const { t } = useI18n();
+  const metric = getMetric(widget.metric);
+  const formatValue = metric.type === 'percent' ? formatPercent : formatMoney;
+  const title = widget.type === 'kpi'
+    ? t(metric.label)
+    : t('{metric} por {level} (Top {count})', { metric: t(metric.label), level: t(level.label), count: widget.topN });
+
+  let content;
+  if (widget.type === 'kpi') {
+    const value = metric.type === 'percent' ? porcentaje : totals[metric.key];
+    const referenceValue = reference ? (metric.type === 'percent' ? Number(reference.porcentaje) : reference.totals[metric.key]) : null;
+    content = <KpiWidget value={value} reference={referenceValue} referenceLabel={compareYear} isPercent={metric.type === 'percent'} formatMoney={formatMoney} />;
+  } else if (groups.length === 0) {
+    content = <p className="text-center text-[10px] font-black text-slate-400 uppercase tracking-widest py-20">{t('Sin datos en la vista')}</p>;
+  } else if (widget.type === 'bar') {
+    content = <TopRamosChart data={groups} metric={metric.key} selectedYear={selectedYear} compareYear={compareYear} severities={severities} annotated={annotated} formatMoney={formatMoney} onSelect={onSelect} height={Math.max(380, groups.length * 32)} />;
+  } else if (widget.type === 'pie') {
+    content = <PaymentsPieChart data={groups} metric={metric.key} formatMoney={formatMoney} onSelect={onSelect} />;
+  } else if (widget.type === 'treemap') {
+    content = <WidgetTreemap groups={groups} metric={metric} formatMoney={formatMoney} onSelect={onSelect} />;
+  } else {
+    content = <WidgetTable groups={groups} metric={metric} formatValue={formatValue} onSelect={onSelect} />;
+  }
+
+  return (
+    <div className={widget.wide ? 'lg:col-span-2' : ''}>
+      <ChartBox title={title}>
+        {editing && (
+          <WidgetControls widget={widget} levels={levels} isFirst={isFirst} isLast={isLast} onChange={onChange} onMove={onMove} onRemove={onRemove} />
+        )}
+        {partial && widget.type !== 'kpi' && (
+          <p className="text-[10px] font-bold text-amber-600 uppercase tracking-widest mb-4">{t('Solo entre los registros cargados')}</p>
+        )}
+        {content}
+      </ChartBox>
+    </div>
+  );
+};
+
+const widgetSelectClass = "appearance-none bg-slate-50 border border-slate-200 pl-3 pr-8 py-2 rounded-xl text-[10px] font-black text-slate-600 uppercase focus:outline-none focus:ring-2 focus:ring-blue-500";
+const widgetButtonClass = "w-8 h-8 rounded-xl flex items-center justify-center text-slate-400 hover:text-blue-600 hover:bg-slate-50 disabled:text-slate-200 disabled:hover:bg-transparent transition-colors";
+
+const WidgetSelect = ({ label, value, onChange, children }) => (
+  <div className="relative">
+    <select aria-label={label} value={value} onChange={(e) => onChange(e.target.value)} className={widgetSelectClass}>{children}</select>
+    <ChevronDown className="absolute right-2 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={12} />
+  </div>
+);
+
+// Tipo, métrica, agrupación, top-N, posición y ancho del widget
+const WidgetControls = ({ widget, levels, isFirst, isLast, onChange, onMove, onRemove }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex flex-wrap items-center gap-2 -mt-6 mb-8 pb-6 border-b border-slate-100">
+      <WidgetSelect label={t('Tipo')} value={widget.type} onChange={(type) => onChange({ type })}>
+        {WIDGET_TYPES.map(type => <option key={type.key} value={type.key}>{t(type.label)}</option>)}
+      </WidgetSelect>
+      <WidgetSelect label={t('Métrica')} value={widget.metric} onChange={(metric) => onChange({ metric })}>
+        {getMetricsFor(widget.type).map(metric => <option key={metric.key} value={metric.key}>{t(metric.label)}</option>)}
+      </WidgetSelect>
+      {widget.type !== 'kpi' && (
+        <>
+          <WidgetSelect label={t('Agrupar por')} value={widget.groupBy} onChange={(groupBy) => onChange({ groupBy })}>
+            <option value={AUTO_GROUPING}>{t('Nivel siguiente')}</option>
+            {levels.map(level => <option key={level.key} value={level.key}>{t(level.label)}</option>)}
+          </WidgetSelect>
+          <WidgetSelect label={t('Grupos')} value={widget.topN} onChange={(topN) => onChange({ topN: Number(topN) })}>
+            {TOP_N_OPTIONS.map(count => <option key={count} value={count}>{t('Top {count}', { count })}</option>)}
+          </WidgetSelect>
+        </>
+      )}
+      <div className="flex items-center gap-1 ml-auto">
+        <button onClick={() => onMove(-1)} disabled={isFirst} aria-label={t('Mover antes')} className={widgetButtonClass}><ArrowLeft size={14} /></button>
+        <button onClick={() => onMove(1)} disabled={isLast} aria-label={t('Mover después')} className={widgetButtonClass}><ArrowRight size={14} /></button>
+        <button onClick={() => onChange({ wide: !widget.wide })} aria-label={widget.wide ? t('Media anchura') : t('Ancho completo')} className={widgetButtonClass}>
+          {widget.wide ? <Minimize2 size={14} /> : <Maximize2 size={14} />}
+        </button>
+        <button onClick={onRemove} aria-label={t('Quitar widget')} className={`${widgetButtonClass} hover:text-red-500`}><Trash2 size={14} /></button>
+      </div>
+    </div>
+  );
+};
+
+// Total de la vista para la métrica, con la variación contra el año de referencia
+const KpiWidget = ({ value, reference, referenceLabel, isPercent, formatMoney }) => (
+  <div className="py-6">
+    <h2 className="text-5xl font-black tracking-tight text-slate-900">{isPercent ? formatPercent(value) : formatMoney(value)}</h2>
+    {typeof reference === 'number' && (
+      <div className="mt-8 pt-6 border-t border-slate-100 flex items-center justify-between gap-4">
+        <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest whitespace-nowrap">
+          {referenceLabel}: {isPercent ? formatPercent(reference) : formatMoney(reference)}
+        </span>
+        {isPercent
+          ? <span className="text-xs font-black font-mono"><DeltaValue value={value - reference} suffix=" pp" /></span>
+          : <DeltaCell {...computeDelta(value, reference)} formatMoney={formatMoney} />}
+      </div>
+    )}
+  </div>
+);
+
+// Mapa plano de los grupos: tamaño por la métrica, color por avance
+const WidgetTreemap = ({ groups, metric, formatMoney, onSelect }) => {
+  const { t } = useI18n();
+  const tree = groups
+    .filter(group => group[metric.key] > 0)
+    .map(group => ({ name: group.name, path: [group.name], size: group[metric.key], avance: group.avance }));
+  return (
+    <ChartFrame width="100%" height={380}>
+      <Treemap data={tree} dataKey="size" content={<TreemapCell />} isAnimationActive={false} onClick={onSelect ? (node) => onSelect(node.name) : undefined}>
+        <Tooltip content={<TreemapTooltip sizeLabel={t(metric.label)} formatMoney={formatMoney} />} />
+      </Treemap>
+    </ChartFrame>
+  );
+};
+
+const WidgetTable = ({ groups, metric, formatValue, onSelect }) => {
+  const { t } = useI18n();
+  const max = Math.max(...groups.map(group => group[metric.key]), 0);
+  return (
+    <table className="w-full text-left border-collapse">
+      <thead>
+        <tr className="border-b border-slate-100">
+          <th className="py-3 text-[9px] font-black text-slate-400 uppercase tracking-widest">#</th>
+          <th className="py-3 px-4 text-[9px] font-black text-slate-400 uppercase tracking-widest">{t('Nombre')}</th>
+          <th className="py-3 px-4 text-[9px] font-black text-slate-400 uppercase tracking-widest text-right">{t(metric.label)}</th>
+          {metric.key !== 'avance' && <th className="py-3 text-[9px] font-black text-slate-400 uppercase tracking-widest text-right">{t('Avance')}</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map((group, i) => (
+          <tr
+            key={group.name}
+            onClick={onSelect ? () => onSelect(group.name) : undefined}
+            className={`border-b border-slate-50 ${onSelect ? 'cursor-pointer hover:bg-slate-50' : ''}`}
+          >
+            <td className="py-3 text-[10px] font-black text-slate-300">{i + 1}</td>
+            <td className="py-3 px-4">
+              <span className="text-xs font-black text-slate-700 uppercase tracking-tight">{group.name}</span>
+              <div className="h-1 bg-slate-100 rounded-full mt-2 overflow-hidden">
+                <div className="h-full rounded-full" style={{ width: `${max > 0 ? (group[metric.key] / max) * 100 : 0}%`, backgroundColor: chartColor(i) }}></div>
+              </div>
+            </td>
+            <td className="py-3 px-4 text-right text-xs font-black text-slate-900">{formatValue(group[metric.key])}</td>
+            {metric.key !== 'avance' && <td className="py-3 text-right text-[11px] font-black text-blue-600">{formatPercent(group.avance)}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default DashboardWidget;
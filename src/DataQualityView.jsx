@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from 'react';
+import { ShieldCheck, FileWarning } from 'lucide-react';
+import { ISSUE_TYPES } from './dataQuality';
+import { BUDGET_STAGES } from './dataSources';
+import { HIERARCHY } from './hierarchy';
+import { useI18n } from './i18n';
+
+const LIST_LIMIT = 100;
+
+const fieldLabel = (field) => [...BUDGET_STAGES, ...HIERARCHY].find(item => item.key === field)?.label || field;
+
+/**
+ * Calidad de datos: registros con problemas por tipo, con los ids de los
+ * documentos afectados y la opción de dejarlos fuera del análisis.
+ */
+const DataQualityView = ({ report, records, excludeInvalid, onToggleExclude, note }) => {
+  const { t, formatNumber } = useI18n();
+  const [selectedType, setSelectedType] = useState(() => ISSUE_TYPES.find(type => report.counts[type.key] > 0)?.key || ISSUE_TYPES[0].key);
+  const recordsById = useMemo(() => new Map(records.map(r => [r.id, r])), [records]);
+
+  const offending = useMemo(() => [...report.byId.entries()].flatMap(([id, issues]) => {
+    const matched = issues.filter(issue => issue.type === selectedType);
+    return matched.length ? [{ record: recordsById.get(id), issues: matched }] : [];
+  }), [report, recordsById, selectedType]);
+
+  return (
+    <div className="space-y-10">
+      <div className="bg-white p-10 rounded-[3.5rem] border border-slate-200 shadow-sm flex flex-col md:flex-row md:items-center justify-between gap-6">
+        <div className="flex items-center gap-6">
+          <div className={`w-14 h-14 rounded-2xl flex items-center justify-center ${report.invalidCount ? 'bg-amber-50 text-amber-500' : 'bg-emerald-50 text-emerald-500'}`}>
+            {report.invalidCount ? <FileWarning size={28} /> : <ShieldCheck size={28} />}
+          </div>
+          <div>
+            <h3 className="text-2xl font-black text-slate-900 tracking-tight">
+              {t('{count} de {total} registros con problemas', { count: formatNumber(report.invalidCount), total: formatNumber(report.total) })}
+            </h3>
+            {note && <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">{note}</p>}
+          </div>
+        </div>
+        <label className="inline-flex items-center gap-3 text-[10px] font-black text-slate-500 uppercase tracking-widest cursor-pointer">
+          <input type="checkbox" checked={excludeInvalid} onChange={(e) => onToggleExclude(e.target.checked)} className="accent-blue-600" />
+          {t('Excluir registros inválidos del análisis')}
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {ISSUE_TYPES.map(type => (
+          <button
+            key={type.key}
+            onClick={() => setSelectedType(type.key)}
+            className={`text-left bg-white p-8 rounded-[3rem] border shadow-sm transition-all ${selectedType === type.key ? 'border-blue-500 ring-2 ring-blue-100' : 'border-slate-200 hover:border-blue-400'}`}
+          >
+            <span className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">{t(type.label)}</span>
+            <h2 className={`text-4xl font-black tracking-tight mt-4 ${report.counts[type.key] ? 'text-amber-500' : 'text-slate-300'}`}>
+              {formatNumber(report.counts[type.key])}
+            </h2>
+            <p className="text-[10px] font-bold text-slate-400 mt-2">{t(type.description)}</p>
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-[3.5rem] border border-slate-200 shadow-sm overflow-hidden">
+        <div className="p-8 border-b border-slate-100">
+          <h3 className="text-sm font-black text-slate-400 uppercase tracking-widest">
+            {t('Documentos')} · {t(ISSUE_TYPES.find(type => type.key === selectedType).label)} ({formatNumber(offending.length)})
+          </h3>
+        </div>
+        {offending.length === 0 ? (
+          <p className="p-8 text-[10px] font-black text-slate-400 uppercase tracking-widest">{t('Sin registros con este problema')}</p>
+        ) : (
+          <div className="divide-y divide-slate-100">
+            {offending.slice(0, LIST_LIMIT).map(({ record, issues }) => (
+              <div key={record.id} className="flex items-center justify-between gap-6 px-8 py-4">
+                <div className="min-w-0">
+                  <p className="font-mono text-xs font-black text-slate-700 truncate">{record.id}</p>
+                  <p className="text-[10px] font-bold text-slate-400 truncate">{record.ramo} · {record.ur}</p>
+                </div>
+                <p className="text-[10px] font-bold text-slate-500 text-right shrink-0">
+                  {issues.map(issue => issue.of ? t('copia de {id}', { id: issue.of }) : t(fieldLabel(issue.field))).join(', ')}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+        {offending.length > LIST_LIMIT && (
+          <p className="px-8 pb-6 text-[10px] font-bold text-slate-400 uppercase tracking-widest">{t('y {count} más', { count: formatNumber(offending.length - LIST_LIMIT) })}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataQualityView;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { X, ChevronDown } from 'lucide-react';
+import { UNITS, describeDisplay } from './displaySettings';
+import { INPC, INPC_YEARS, resolveInpcYear } from './inpc';
+import { useI18n } from './i18n';
+
+/**
+ * Preferencias de despliegue: unidad de los montos y pesos corrientes o constantes.
+ */
+const DisplaySettingsPanel = ({ settings, years, viewYears = [], onChange, onClose }) => {
+  const { t, locale, formatNumber } = useI18n();
+  const missingYears = years.filter(year => resolveInpcYear(year) !== year);
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
+            {t('Montos')} · {describeDisplay(settings, locale, viewYears)}
+          </h3>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        <Label>{t('Unidad')}</Label>
+        <div className="flex flex-wrap bg-slate-100 p-1.5 rounded-2xl border border-slate-200 mb-8">
+          {UNITS.map(unit => (
+            <button
+              key={unit.key}
+              onClick={() => onChange({ ...settings, unit: unit.key })}
+              className={`flex-1 px-4 py-2.5 rounded-xl text-[10px] font-black uppercase transition-all ${settings.unit === unit.key ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(unit.label)}
+            </button>
+          ))}
+        </div>
+
+        <Label>{t('Pesos')}</Label>
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200">
+            <button onClick={() => onChange({ ...settings, constant: false })} className={`px-5 py-2.5 rounded-xl text-[10px] font-black transition-all ${!settings.constant ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+              {t('CORRIENTES')}
+            </button>
+            <button onClick={() => onChange({ ...settings, constant: true })} className={`px-5 py-2.5 rounded-xl text-[10px] font-black transition-all ${settings.constant ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}>
+              {t('CONSTANTES')}
+            </button>
+          </div>
+          {settings.constant && (
+            <div className="relative">
+              <select
+                value={settings.baseYear}
+                onChange={(e) => onChange({ ...settings, baseYear: Number(e.target.value) })}
+                className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+              >
+                {INPC_YEARS.map(year => <option key={year} value={year}>{t('Base {year}', { year })}</option>)}
+              </select>
+              <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+            </div>
+          )}
+        </div>
+
+        {settings.constant && (
+          <div className="mt-8 border border-slate-200 rounded-[2rem] p-6">
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-3">{t('INPC promedio anual (2Q jul 2018 = 100)')}</p>
+            <div className="grid grid-cols-3 sm:grid-cols-4 gap-x-6 gap-y-1">
+              {INPC_YEARS.map(year => (
+                <p key={year} className={`font-mono text-xs ${year === settings.baseYear ? 'font-black text-blue-600' : 'text-slate-500'}`}>
+                  {year}: {formatNumber(INPC[year], { minimumFractionDigits: 3 })}
+                </p>
+              ))}
+            </div>
+            {missingYears.length > 0 && (
+              <p className="text-[10px] font-bold text-amber-600 mt-4">
+                {t('Años sin INPC, se usa el más cercano:')} {missingYears.map(year => `${year} → ${resolveInpcYear(year)}`).join(', ')}.
+                {' '}{t('Sus montos constantes son una estimación hasta agregar su índice.')}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Label = ({ children }) => (
+  <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{children}</label>
+);
+
+export default DisplaySettingsPanel;
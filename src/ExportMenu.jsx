@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { Download, ChevronDown, FileText, FileSpreadsheet, Printer } from 'lucide-react';
+import { useI18n } from './i18n';
+
+// Formatos de exportación de la vista; PDF abre el reporte imprimible
+const ExportMenu = ({ onExport, disabled }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const options = [
+    { format: 'csv', label: 'CSV', icon: <FileText size={14} /> },
+    { format: 'xlsx', label: t('Excel con totales'), icon: <FileSpreadsheet size={14} /> },
+    { format: 'pdf', label: t('Reporte PDF'), icon: <Printer size={14} /> }
+  ];
+
+  return (
+    <div className="relative">
+      <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Exportar vista')}</label>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className="flex items-center gap-2 bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 hover:border-blue-400 disabled:text-slate-300 disabled:hover:border-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm transition-all"
+      >
+        <Download size={14} /> {t('Exportar')} <ChevronDown size={14} className="text-slate-400" />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-56 bg-white border border-slate-200 rounded-2xl shadow-xl z-40 p-2">
+          {options.map(option => (
+            <button
+              key={option.format}
+              onClick={() => { setOpen(false); onExport(option.format); }}
+              className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-xs font-bold text-slate-600 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+            >
+              {option.icon} {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { Search, X, ChevronDown, Bookmark, Trash2 } from 'lucide-react';
+import { RANGE_FIELDS, EMPTY_FILTERS, normalizeText, countActiveFilters } from './filters';
+import { useI18n } from './i18n';
+import useAsyncAction from './useAsyncAction';
+
+const inputClass = "w-full bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm";
+
+/**
+ * Búsqueda y filtros avanzados con filtros guardados por nombre.
+ */
+const FiltersPanel = ({ filters, onChange, ramoOptions, urOptions, optionsNote, presets, onSavePreset, onDeletePreset }) => {
+  const { t } = useI18n();
+  const [presetName, setPresetName] = useState('');
+  const { error, run } = useAsyncAction();
+  const activeCount = countActiveFilters(filters);
+
+  const setRange = (key, bound, value) => {
+    const range = { min: null, max: null, ...filters.ranges[key], [bound]: value === '' ? null : Number(value) };
+    // Como la búsqueda, teclear un monto reemplaza la entrada del historial
+    onChange({ ...filters, ranges: { ...filters.ranges, [key]: range } }, { typing: true });
+  };
+
+  const savePreset = async () => {
+    if (await run(() => onSavePreset(presetName.trim()))) setPresetName('');
+  };
+
+  const deletePreset = (id) => run(() => onDeletePreset(id));
+
+  return (
+    <div className="bg-white rounded-[3rem] border border-slate-200 shadow-sm p-8 mb-10">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div>
+          <Label>{t('Buscar por nombre')}</Label>
+          <div className="relative">
+            <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={14} />
+            <input
+              value={filters.query}
+              onChange={(e) => onChange({ ...filters, query: e.target.value }, { typing: true })}
+              placeholder={t('Ramo, UR, programa...')}
+              className={`${inputClass} pl-10`}
+            />
+          </div>
+        </div>
+        <div>
+          <Label>{t('Ramos')}</Label>
+          <MultiSelect options={ramoOptions} selected={filters.ramos} onChange={(ramos) => onChange({ ...filters, ramos })} placeholder={t('Todos los Ramos')} />
+        </div>
+        <div>
+          <Label>{t('Instituciones (UR)')}</Label>
+          <MultiSelect options={urOptions} selected={filters.urs} onChange={(urs) => onChange({ ...filters, urs })} placeholder={t('Todas las UR')} />
+        </div>
+        {RANGE_FIELDS.map(field => (
+          <div key={field.key}>
+            <Label>{t(field.label)} ({field.unit})</Label>
+            <div className="flex items-center gap-2">
+              <input type="number" placeholder={t('Mín.')} value={filters.ranges[field.key]?.min ?? ''} onChange={(e) => setRange(field.key, 'min', e.target.value)} className={inputClass} />
+              <span className="text-slate-300 font-black">–</span>
+              <input type="number" placeholder={t('Máx.')} value={filters.ranges[field.key]?.max ?? ''} onChange={(e) => setRange(field.key, 'max', e.target.value)} className={inputClass} />
+            </div>
+          </div>
+        ))}
+      </div>
+      {optionsNote && <p className="mt-3 ml-2 text-[10px] font-bold text-slate-400 uppercase tracking-widest">{optionsNote}</p>}
+
+      <label className="inline-flex items-center gap-3 mt-6 ml-2 text-[10px] font-black text-slate-500 uppercase tracking-widest cursor-pointer">
+        <input type="checkbox" checked={!!filters.annotated} onChange={(e) => onChange({ ...filters, annotated: e.target.checked })} className="accent-blue-600" />
+        {t('Solo con comentarios')}
+      </label>
+
+      <div className="mt-8 pt-6 border-t border-slate-100 flex flex-wrap items-center gap-3">
+        {presets.map(preset => (
+          <span key={preset.id} className="inline-flex items-center gap-2 bg-slate-100 rounded-2xl pl-4 pr-2 py-2 text-[10px] font-black text-slate-600 uppercase tracking-widest">
+            <button onClick={() => onChange(preset.filters)} className="flex items-center gap-2 hover:text-blue-600 transition-colors">
+              <Bookmark size={12} /> {preset.name}
+            </button>
+            <button onClick={() => deletePreset(preset.id)} aria-label={t('Eliminar {name}', { name: preset.name })} className="w-6 h-6 rounded-lg flex items-center justify-center text-slate-400 hover:text-red-500 transition-colors">
+              <Trash2 size={12} />
+            </button>
+          </span>
+        ))}
+        <div className="flex items-center gap-2 ml-auto">
+          <input value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder={t('Nombre del filtro')} className={`${inputClass} w-48`} />
+          <button
+            onClick={savePreset}
+            disabled={!presetName.trim() || activeCount === 0}
+            className="px-5 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all whitespace-nowrap"
+          >
+            {t('GUARDAR FILTRO')}
+          </button>
+          <button
+            onClick={() => onChange(EMPTY_FILTERS)}
+            disabled={activeCount === 0}
+            className="px-5 py-3 rounded-2xl text-[10px] font-black text-slate-500 hover:text-slate-700 disabled:text-slate-300 transition-all whitespace-nowrap"
+          >
+            {t('LIMPIAR')}
+          </button>
+        </div>
+      </div>
+      {error && <p className="mt-4 ml-2 text-xs font-bold text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+const Label = ({ children }) => (
+  <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{children}</label>
+);
+
+// Lista desplegable con casillas y búsqueda interna sin acentos
+const MultiSelect = ({ options, selected, onChange, placeholder }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState('');
+  const term = normalizeText(search);
+  const visible = options.filter(option => normalizeText(option).includes(term));
+  const toggle = (option) => onChange(selected.includes(option) ? selected.filter(o => o !== option) : [...selected, option]);
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(!open)} className={`${inputClass} pr-12 text-left truncate`}>
+        {selected.length === 0 ? placeholder : selected.length === 1 ? selected[0] : t('{count} seleccionados', { count: selected.length })}
+      </button>
+      {selected.length > 0 ? (
+        <button onClick={() => onChange([])} aria-label={t('Quitar selección')} className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-700">
+          <X size={16} />
+        </button>
+      ) : (
+        <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+      )}
+      {open && (
+        <div className="absolute z-40 mt-2 w-full bg-white border border-slate-200 rounded-2xl shadow-xl p-3">
+          <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder={t('Buscar...')} className={`${inputClass} mb-2`} autoFocus />
+          <div className="max-h-60 overflow-y-auto">
+            {visible.map(option => (
+              <label key={option} className="flex items-center gap-3 px-3 py-2 rounded-xl text-xs font-bold text-slate-700 hover:bg-slate-50 cursor-pointer">
+                <input type="checkbox" checked={selected.includes(option)} onChange={() => toggle(option)} className="accent-blue-600" />
+                {option}
+              </label>
+            ))}
+            {visible.length === 0 && <p className="px-3 py-2 text-[10px] font-bold text-slate-400 uppercase tracking-widest">{t('Sin coincidencias')}</p>}
+          </div>
+          <button onClick={() => setOpen(false)} className="w-full mt-2 px-4 py-2 rounded-xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">{t('CERRAR')}</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FiltersPanel;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { ChevronDown, RotateCcw } from 'lucide-react';
+import { FORECAST_METHODS, DEFAULT_FORECAST } from './forecast';
+import { MONTH_LABELS } from './timeSeries';
+import { useI18n } from './i18n';
+
+const legendStyle = { fontSize: '10px', fontWeight: '800', textTransform: 'uppercase', paddingTop: '20px' };
+const tooltipStyle = { borderRadius: '20px', border: 'none', fontWeight: 'bold' };
+
+/**
+ * Proyección al cierre en el dashboard: totales proyectados, gráfica por grupo,
+ * método de proyección y escenario de ritmo para un ramo.
+ */
+const ForecastPanel = ({ summary, groups, settings, onChange, month, year, ramos, levelLabel, avanceBaseLabel, hasProfile, formatMoney }) => {
+  const { t } = useI18n();
+  const { scenario } = settings;
+  const setScenario = (changes) => onChange({ ...settings, scenario: { ...scenario, ...changes } });
+  const method = FORECAST_METHODS.find(m => m.key === settings.method);
+
+  return (
+    <div className="bg-white p-10 rounded-[3.5rem] border border-slate-200 shadow-sm">
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-6 mb-10">
+        <div>
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
+            {t('Proyección al cierre {year}', { year })}
+          </h3>
+          <p className="text-[10px] font-bold text-slate-400 mt-2 ml-5">
+            {t('Pagos a {month}', { month: t(MONTH_LABELS[month]) })} · {t(method.description)}
+            {settings.method === 'seasonal' && !hasProfile && ` · ${t('Sin calendario mensual: se usa el ritmo lineal')}`}
+          </p>
+        </div>
+        <div className="flex bg-slate-100 p-1.5 rounded-2xl border border-slate-200 shrink-0">
+          {FORECAST_METHODS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => onChange({ ...settings, method: option.key })}
+              className={`px-4 py-2.5 rounded-xl text-[10px] font-black uppercase transition-all ${settings.method === option.key ? 'bg-white shadow-md text-blue-600' : 'text-slate-500 hover:text-slate-700'}`}
+            >
+              {t(option.label)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-10">
+        <Stat label={t('Pagado proyectado')} value={formatMoney(summary.proyectado)} />
+        <Stat label={t('Avance proyectado vs {base}', { base: avanceBaseLabel })} value={`${summary.avanceProyectado.toFixed(1)}%`} />
+        <Stat label={t('Subejercicio esperado')} value={formatMoney(summary.subejercicio)} color={summary.subejercicio > 0 ? 'text-amber-500' : 'text-emerald-600'} />
+      </div>
+
+      <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-4">{t('Proyección por {level} (Top)', { level: levelLabel })}</p>
+      <ResponsiveContainer width="100%" height={360}>
+        <BarChart data={groups} layout="vertical" margin={{ left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#f1f5f9" />
+          <XAxis type="number" hide />
+          <YAxis dataKey="name" type="category" width={110} tick={{ fontSize: 9, fontWeight: 800, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+          <Tooltip cursor={{ fill: '#f8fafc' }} contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+          <Bar dataKey="aprobado" name={t('Aprobado')} fill="#e2e8f0" radius={[0, 8, 8, 0]} barSize={10} />
+          <Bar dataKey="proyectado" name={t('Pagado proyectado')} fill="#93c5fd" radius={[0, 8, 8, 0]} barSize={10} />
+          <Bar dataKey="pagado" name={t('Pagado')} fill="#2563eb" radius={[0, 8, 8, 0]} barSize={10} />
+          <Legend verticalAlign="bottom" align="center" iconType="circle" wrapperStyle={legendStyle} />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="mt-8 pt-6 border-t border-slate-100 flex flex-wrap items-end gap-6">
+        <div>
+          <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Escenario')}</label>
+          <div className="relative">
+            <select
+              value={scenario.ramo ?? ''}
+              onChange={(e) => setScenario({ ramo: e.target.value || null })}
+              className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm max-w-xs"
+            >
+              <option value="">{t('Sin escenario')}</option>
+              {ramos.map(ramo => <option key={ramo} value={ramo}>{ramo}</option>)}
+            </select>
+            <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+          </div>
+        </div>
+        {scenario.ramo && (
+          <>
+            <div className="flex-1 min-w-[220px]">
+              <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">
+                {t('Ritmo de los meses restantes: {pace}%', { pace: scenario.pace })}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="200"
+                step="5"
+                value={scenario.pace}
+                onChange={(e) => setScenario({ pace: Number(e.target.value) })}
+                className="w-full accent-blue-600"
+              />
+            </div>
+            <button
+              onClick={() => onChange({ ...settings, scenario: DEFAULT_FORECAST.scenario })}
+              className="flex items-center gap-2 px-5 py-3 rounded-2xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all"
+            >
+              <RotateCcw size={14} /> {t('QUITAR ESCENARIO')}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const Stat = ({ label, value, color = 'text-slate-900' }) => (
+  <div className="bg-slate-50 rounded-[2rem] p-6">
+    <span className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">{label}</span>
+    <h2 className={`text-2xl font-black tracking-tight mt-3 ${color}`}>{value}</h2>
+  </div>
+);
+
+export default ForecastPanel;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Upload, X, FileSpreadsheet, ChevronDown } from 'lucide-react';
+import { RECORD_FIELDS, detectColumnMapping, detectMonthlyPrefixes, parseDataFile, buildLocalDatasets } from './dataSources';
+import { useI18n } from './i18n';
+
+/**
+ * Importación offline: arrastrar un CSV/XLSX/JSON, mapear columnas y cargarlo
+ * como fuente local del visor.
+ */
+const ImportPanel = ({ defaultYear, onImport, onClose }) => {
+  const { t, formatNumber } = useI18n();
+  const [parsed, setParsed] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [year, setYear] = useState(defaultYear);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [dragging, setDragging] = useState(false);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await parseDataFile(file);
+      if (result.rows.length === 0) throw new Error(t('El archivo no contiene registros.'));
+      setParsed(result);
+      setFileName(file.name);
+      setMapping(detectColumnMapping(result.headers));
+    } catch (err) {
+      setError(t('No se pudo leer el archivo: {message}', { message: err.message }));
+      setParsed(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const missingFields = RECORD_FIELDS.filter(f => f.required && !mapping[f.key]);
+  // Los campos mensuales se mapean por prefijo (PAGADO → PAGADO_ENE ... PAGADO_DIC)
+  const monthlyPrefixes = parsed ? detectMonthlyPrefixes(parsed.headers) : [];
+
+  const confirmImport = () => {
+    const datasets = buildLocalDatasets(parsed.rows, mapping, year);
+    onImport(datasets, { fileName, total: parsed.rows.length });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
+            {t('Importar datos abiertos')}
+          </h3>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        <label
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => { e.preventDefault(); setDragging(false); readFile(e.dataTransfer.files[0]); }}
+          className={`block border-2 border-dashed rounded-[2.5rem] p-12 text-center cursor-pointer transition-colors ${dragging ? 'border-blue-500 bg-blue-50' : 'border-blue-200 bg-blue-50/50 hover:bg-blue-50'}`}
+        >
+          <input type="file" accept=".csv,.txt,.xlsx,.xls,.json" className="hidden" onChange={(e) => readFile(e.target.files[0])} />
+          {parsed ? (
+            <FileSpreadsheet className="mx-auto mb-4 text-blue-500" size={40} />
+          ) : (
+            <Upload className="mx-auto mb-4 text-blue-300" size={40} />
+          )}
+          <p className="text-sm font-black text-slate-700 uppercase tracking-tight">
+            {busy ? t('Leyendo archivo...') : parsed ? fileName : t('Arrastra aquí tu archivo')}
+          </p>
+          <p className="text-slate-500 text-xs mt-2">
+            {parsed ? t('{rows} filas · {columns} columnas', { rows: formatNumber(parsed.rows.length), columns: parsed.headers.length }) : t('CSV, XLSX o JSON de datos abiertos de Hacienda')}
+          </p>
+        </label>
+
+        {error && <p className="mt-6 text-xs font-bold text-red-500">{error}</p>}
+
+        {parsed && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-8">
+              {RECORD_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">
+                    {t(field.label)}{field.required ? ' *' : ''}
+                  </label>
+                  <div className="relative">
+                    <select
+                      value={mapping[field.key] || ''}
+                      onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      className="w-full appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                    >
+                      <option value="">{field.required ? t('Selecciona una columna') : t('No usar')}</option>
+                      {field.monthly
+                        ? monthlyPrefixes.map(p => <option key={p} value={p}>{p}_ENE … {p}_DIC</option>)
+                        : parsed.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                    <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+                  </div>
+                </div>
+              ))}
+
+              {!mapping.ciclo && (
+                <div>
+                  <label className="block text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2 ml-2">{t('Ejercicio fiscal del archivo')}</label>
+                  <input
+                    type="number"
+                    value={year}
+                    onChange={(e) => setYear(Number(e.target.value))}
+                    className="w-full bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="mt-8 flex items-center justify-between gap-4">
+              <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                {missingFields.length > 0 ? t('Falta mapear: {fields}', { fields: missingFields.map(f => t(f.label)).join(', ') }) : t('Mapeo completo')}
+              </p>
+              <button
+                onClick={confirmImport}
+                disabled={missingFields.length > 0}
+                className="px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all"
+              >
+                {t('CARGAR {count} REGISTROS', { count: formatNumber(parsed.rows.length) })}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { LayoutGrid, Plus, Trash2, Settings2, Check, RotateCcw } from 'lucide-react';
+import { WIDGET_TYPES } from './dashboardLayouts';
+import { useI18n } from './i18n';
+import useAsyncAction from './useAsyncAction';
+
+const inputClass = "bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm";
+
+/**
+ * Tableros guardados del usuario y edición del tablero en uso: agregar
+ * widgets, guardarlo con nombre o actualizar el abierto.
+ */
+const LayoutPanel = ({ layouts, activeId, dirty, editing, shared, onToggleEdit, onOpen, onSave, onUpdate, onDelete, onAddWidget, onReset }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState('');
+  const { error, run } = useAsyncAction();
+
+  const save = async () => {
+    if (await run(() => onSave(name.trim()))) setName('');
+  };
+
+  return (
+    <div className="bg-white rounded-[3rem] border border-slate-200 shadow-sm p-6 mb-10">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest ml-2 mr-2" title={shared ? t('Guardados en tu cuenta') : t('Guardados en este navegador')}>
+          <LayoutGrid size={14} /> {t('Tableros')}
+        </span>
+        {layouts.length === 0 && (
+          <span className="text-[10px] font-bold text-slate-400">{t('Aún no guardas tableros')}</span>
+        )}
+        {layouts.map(layout => (
+          <span
+            key={layout.id}
+            className={`inline-flex items-center gap-2 rounded-2xl pl-4 pr-2 py-2 text-[10px] font-black uppercase tracking-widest ${layout.id === activeId ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-600'}`}
+          >
+            <button onClick={() => run(() => onOpen(layout))} className={layout.id === activeId ? '' : 'hover:text-blue-600 transition-colors'}>
+              {layout.name}{layout.id === activeId && dirty && ' •'}
+            </button>
+            <button
+              onClick={() => run(() => onDelete(layout.id))}
+              aria-label={t('Eliminar {name}', { name: layout.name })}
+              className={`w-6 h-6 rounded-lg flex items-center justify-center transition-colors ${layout.id === activeId ? 'text-blue-200 hover:text-white' : 'text-slate-400 hover:text-red-500'}`}
+            >
+              <Trash2 size={12} />
+            </button>
+          </span>
+        ))}
+        <button
+          onClick={onToggleEdit}
+          className={`ml-auto flex items-center gap-2 px-5 py-3 rounded-2xl text-[10px] font-black transition-all ${editing ? 'bg-blue-600 text-white shadow-xl shadow-blue-200' : 'bg-slate-100 text-slate-600 hover:text-blue-600'}`}
+        >
+          {editing ? <><Check size={14} /> {t('LISTO')}</> : <><Settings2 size={14} /> {t('PERSONALIZAR')}</>}
+        </button>
+      </div>
+
+      {error && <p className="mt-4 ml-2 text-xs font-bold text-red-500">{error}</p>}
+
+      {editing && (
+        <div className="mt-6 pt-6 border-t border-slate-100 flex flex-wrap items-center gap-3">
+          {WIDGET_TYPES.map(type => (
+            <button
+              key={type.key}
+              onClick={() => onAddWidget(type.key)}
+              className="flex items-center gap-2 px-4 py-2.5 rounded-2xl text-[10px] font-black uppercase border border-dashed border-slate-300 text-slate-500 hover:border-blue-400 hover:text-blue-600 transition-all"
+            >
+              <Plus size={12} /> {t(type.label)}
+            </button>
+          ))}
+          <button onClick={onReset} className="flex items-center gap-2 px-4 py-2.5 rounded-2xl text-[10px] font-black text-slate-500 hover:text-slate-700 transition-all">
+            <RotateCcw size={12} /> {t('RESTABLECER')}
+          </button>
+          <div className="flex items-center gap-2 ml-auto">
+            {activeId && (
+              <button
+                onClick={() => run(onUpdate)}
+                disabled={!dirty}
+                className="px-5 py-3 rounded-2xl text-[10px] font-black text-blue-600 hover:text-blue-700 disabled:text-slate-300 transition-all whitespace-nowrap"
+              >
+                {t('GUARDAR CAMBIOS')}
+              </button>
+            )}
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder={t('Nombre del tablero')} className={`${inputClass} w-48`} />
+            <button
+              onClick={save}
+              disabled={!name.trim()}
+              className="px-5 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all whitespace-nowrap"
+            >
+              {t('GUARDAR TABLERO')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayoutPanel;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Lock, Mail, X } from 'lucide-react';
+import { signInWithEmail, registerWithEmail, signInWithGoogle, describeAuthError } from './auth';
+import { useI18n } from './i18n';
+import useAsyncAction from './useAsyncAction';
+
+const inputClass = "w-full bg-white border border-slate-200 px-5 py-3 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm";
+
+/**
+ * Pantalla de acceso: correo/contraseña o Google. Reemplaza la tarjeta de error
+ * cuando Firestore niega el acceso y también se abre desde el menú de perfil.
+ */
+const LoginScreen = ({ auth, reason, onClose }) => {
+  const { t, locale } = useI18n();
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const { error, busy, run, clearError } = useAsyncAction((err) => describeAuthError(err, locale));
+
+  const submit = (e) => {
+    e.preventDefault();
+    run(() => mode === 'login' ? signInWithEmail(auth, email, password) : registerWithEmail(auth, email, password));
+  };
+
+  return (
+    <div className="relative bg-white border border-slate-200 rounded-[3rem] p-12 shadow-xl max-w-md mx-auto">
+      {onClose && (
+        <button onClick={onClose} aria-label={t('Cerrar')} className="absolute top-6 right-6 w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+          <X size={18} />
+        </button>
+      )}
+      <div className="w-20 h-20 bg-blue-50 text-blue-600 rounded-3xl flex items-center justify-center mx-auto mb-6">
+        <Lock size={36} />
+      </div>
+      <h2 className="text-2xl font-black text-slate-900 mb-2 uppercase tracking-tight text-center">
+        {mode === 'login' ? t('Iniciar sesión') : t('Crear cuenta')}
+      </h2>
+      {reason && <p className="text-slate-500 text-sm text-center mb-6 font-medium">{reason}</p>}
+
+      <form onSubmit={submit} className="space-y-4 mt-6">
+        <div className="relative">
+          <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={14} />
+          <input type="email" required autoComplete="email" placeholder={t('Correo')} value={email} onChange={(e) => setEmail(e.target.value)} className={`${inputClass} pl-10`} />
+        </div>
+        <input type="password" required autoComplete={mode === 'login' ? 'current-password' : 'new-password'} placeholder={t('Contraseña')} value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+        {error && <p className="text-xs font-bold text-red-500">{error}</p>}
+        <button type="submit" disabled={busy} className="w-full px-6 py-3 rounded-2xl text-[10px] font-black bg-blue-600 text-white shadow-xl shadow-blue-200 disabled:bg-slate-200 disabled:text-slate-400 disabled:shadow-none transition-all">
+          {mode === 'login' ? t('ENTRAR') : t('CREAR CUENTA')}
+        </button>
+      </form>
+
+      <div className="flex items-center gap-4 my-6">
+        <div className="flex-1 h-px bg-slate-200"></div>
+        <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest">{t('o')}</span>
+        <div className="flex-1 h-px bg-slate-200"></div>
+      </div>
+
+      <button onClick={() => run(() => signInWithGoogle(auth))} disabled={busy} className="w-full px-6 py-3 rounded-2xl text-[10px] font-black bg-white border border-slate-200 text-slate-700 shadow-sm hover:border-blue-400 disabled:text-slate-400 transition-all">
+        {t('CONTINUAR CON GOOGLE')}
+      </button>
+
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest text-center mt-6">
+        {mode === 'login' ? t('¿No tienes cuenta?') : t('¿Ya tienes cuenta?')}{' '}
+        <button onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); clearError(); }} className="text-blue-600 hover:underline">
+          {mode === 'login' ? t('Regístrate') : t('Inicia sesión')}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default LoginScreen;
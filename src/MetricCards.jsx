@@ -0,0 +1,117 @@
+import React from 'react';
+import { PieChart, Pie, Cell } from 'recharts';
+import { Activity } from 'lucide-react';
+import { computeDelta } from './dataSources';
+import { defaultFormatMoney } from './displaySettings';
+import { ChartFrame } from './Charts';
+import { useI18n } from './i18n';
+
+/**
+ * Tarjetas de totales del dashboard y del reporte impreso, con la variación
+ * contra el año de referencia.
+ */
+
+// Variación con signo y color (positivo en verde, negativo en rojo)
+export const DeltaValue = ({ value, suffix = "%", format }) => {
+  const { formatNumber } = useI18n();
+  if (value === null || value === undefined || !isFinite(value)) {
+    return <span className="text-slate-300">—</span>;
+  }
+  const color = value > 0 ? 'text-emerald-600' : value < 0 ? 'text-red-500' : 'text-slate-400';
+  const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+  const text = format ? format(Math.abs(value)) : `${formatNumber(Math.abs(value), { maximumFractionDigits: 1 })}${suffix}`;
+  return <span className={color}>{sign}{text}</span>;
+};
+
+// La variación absoluta usa el formato de montos; el signo va antes del "$"
+export const DeltaCell = ({ abs, pct, formatMoney = defaultFormatMoney }) => (
+  <div className="font-mono text-right">
+    <p className="text-xs font-black"><DeltaValue value={abs} format={formatMoney} /></p>
+    <p className="text-[10px] font-bold mt-1"><DeltaValue value={pct} /></p>
+  </div>
+);
+
+export const MetricCard = ({ label, value, icon, color = "text-slate-900", reference, referenceLabel, compact = false, formatMoney = defaultFormatMoney }) => {
+  const delta = typeof reference === 'number' ? computeDelta(value, reference) : null;
+  return (
+    <div className={`bg-white ${compact ? 'p-6 rounded-[2.5rem]' : 'p-8 rounded-[3rem]'} border border-slate-200 shadow-sm hover:border-blue-400 transition-all group overflow-hidden h-full flex flex-col justify-center`}>
+      <div className={`flex items-center gap-4 ${compact ? 'mb-4' : 'mb-6'}`}>
+        <div className={`${compact ? 'w-10 h-10' : 'w-12 h-12'} bg-slate-100 rounded-2xl flex items-center justify-center text-blue-600 group-hover:bg-blue-600 group-hover:text-white transition-all`}>{icon}</div>
+        <span className="text-[10px] font-black text-slate-400 uppercase tracking-[0.2em]">{label}</span>
+      </div>
+      <h2 className={`${compact ? 'text-xl' : 'text-4xl'} font-black tracking-tight ${color}`}>
+        {typeof value === 'number' ? formatMoney(value) : value}
+      </h2>
+      {delta && (
+        <div className="mt-4 pt-4 border-t border-slate-100 flex items-center justify-between gap-4">
+          <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest whitespace-nowrap">
+            {referenceLabel}: {formatMoney(reference)}
+          </span>
+          <DeltaCell abs={delta.abs} pct={delta.pct} formatMoney={formatMoney} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Medidor de avance (tercera tarjeta); `width` numérico y `animate` falso se usan en el reporte impreso.
+// Con `onModeChange` muestra el selector entre avance anual y contra calendario.
+export const AvanceGauge = ({ porcentaje, label, reference, referenceLabel, mode, onModeChange, width = "100%", animate = true }) => {
+  const { t } = useI18n();
+  return (
+    <div className="bg-white p-6 rounded-[3rem] border border-slate-200 shadow-sm relative overflow-hidden flex flex-col justify-center items-center">
+      <div className="absolute top-6 left-8 right-8 flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-amber-50 text-amber-600 rounded-xl flex items-center justify-center">
+            <Activity size={16} />
+          </div>
+          <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">{label}</span>
+        </div>
+        {onModeChange && (
+          <div className="flex bg-slate-100 p-1 rounded-xl border border-slate-200">
+            {[['anual', t('ANUAL')], ['calendario', t('CAL.')]].map(([value, text]) => (
+              <button key={value} onClick={() => onModeChange(value)} className={`px-2 py-1 rounded-lg text-[8px] font-black transition-all ${mode === value ? 'bg-white shadow-sm text-amber-600' : 'text-slate-400 hover:text-slate-600'}`}>
+                {text}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="w-full h-40 mt-4">
+        <ChartFrame width={width} height={typeof width === 'number' ? 160 : "100%"}>
+          <PieChart>
+            <Pie
+              data={[
+                { value: Number(porcentaje) },
+                { value: 100 - Math.min(Number(porcentaje), 100) }
+              ]}
+              cx="50%"
+              cy="85%"
+              startAngle={180}
+              endAngle={0}
+              innerRadius={65}
+              outerRadius={90}
+              paddingAngle={0}
+              dataKey="value"
+              stroke="none"
+              isAnimationActive={animate}
+            >
+              <Cell fill="#f59e0b" />
+              <Cell fill="#f1f5f9" />
+            </Pie>
+          </PieChart>
+        </ChartFrame>
+        <div className="absolute bottom-6 w-full text-center left-0">
+          <span className="text-4xl font-black text-slate-900 tracking-tighter">{porcentaje}%</span>
+          {reference && (
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mt-1">
+              vs {referenceLabel}: {reference.porcentaje}%{' '}
+              <DeltaValue value={Number(porcentaje) - Number(reference.porcentaje)} suffix=" pp" />
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
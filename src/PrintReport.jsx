@@ -0,0 +1,71 @@
+import React from 'react';
+import { TrendingUp, Wallet } from 'lucide-react';
+import { stageLabel } from './dataSources';
+import { ChartBox, TopRamosChart, PaymentsPieChart } from './Charts';
+import { MetricCard, AvanceGauge } from './MetricCards';
+import { useI18n } from './i18n';
+
+const formatReportCell = (value, type, formatMoney) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (type === 'amount') return formatMoney(value);
+  if (type === 'percent') return `${value.toFixed(1)}%`;
+  return value;
+};
+
+// Reporte imprimible: el usuario lo guarda como PDF desde el diálogo de impresión
+const PrintReport = ({ title, subtitle, analytics, totals, groupLabel, rows, columns, selectedYear, compareYear, avanceBase, formatMoney }) => {
+  const { t, formatDate } = useI18n();
+  return (
+    <div className="hidden print:block w-[680px] mx-auto text-slate-900 font-sans">
+      <header className="border-b-2 border-slate-900 pb-4 mb-6">
+        <p className="text-[9px] font-black text-blue-600 uppercase tracking-[0.2em]">{t('Ejercicio del Gasto · Presupuesto público')}</p>
+        <h1 className="text-2xl font-black uppercase leading-tight mt-2">{title}</h1>
+        <p className="text-[10px] font-bold text-slate-500 uppercase tracking-widest mt-1">{subtitle}</p>
+        <p className="text-[9px] text-slate-400 mt-1">{t('Generado el {date}', { date: formatDate(Date.now()) })}</p>
+      </header>
+
+      <div className="grid grid-cols-1 gap-4 mb-6 break-inside-avoid">
+        <MetricCard label={t('Monto Aprobado')} value={analytics.totalAprobado} icon={<TrendingUp size={20} />} reference={analytics.reference?.totalAprobado} referenceLabel={compareYear} formatMoney={formatMoney} />
+        <MetricCard label={t('Monto Pagado')} value={analytics.totalPagado} icon={<Wallet size={20} />} color="text-emerald-600" reference={analytics.reference?.totalPagado} referenceLabel={compareYear} formatMoney={formatMoney} />
+        <AvanceGauge porcentaje={analytics.porcentaje} label={t('Avance vs {base}', { base: t(stageLabel(avanceBase)).toLowerCase() })} reference={analytics.reference} referenceLabel={compareYear} width={600} animate={false} />
+      </div>
+
+      <div className="break-inside-avoid mb-6">
+        <ChartBox title={t('Gasto por {level} (Top)', { level: groupLabel })}>
+          <TopRamosChart data={analytics.topGroups} selectedYear={selectedYear} compareYear={compareYear} formatMoney={formatMoney} width={600} height={340} animate={false} />
+        </ChartBox>
+      </div>
+      <div className="break-inside-avoid mb-6">
+        <ChartBox title={t('Distribución de Pagos por {level}', { level: groupLabel })}>
+          <PaymentsPieChart data={analytics.topGroups} formatMoney={formatMoney} width={600} height={340} animate={false} />
+        </ChartBox>
+      </div>
+
+      <table className="w-full text-left border-collapse text-[8px] break-before-page">
+        <thead>
+          <tr className="border-b-2 border-slate-900">
+            {columns.map(c => (
+              <th key={c.key} className={`py-2 px-1 font-black uppercase ${c.type === 'text' ? '' : 'text-right'}`}>{c.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id} className="border-b border-slate-200 break-inside-avoid">
+              {columns.map(c => (
+                <td key={c.key} className={`py-1 px-1 ${c.type === 'text' ? '' : 'text-right font-mono'}`}>{formatReportCell(row[c.key], c.type, formatMoney)}</td>
+              ))}
+            </tr>
+          ))}
+          <tr className="border-t-2 border-slate-900 font-black">
+            {columns.map((c, i) => (
+              <td key={c.key} className={`py-2 px-1 ${c.type === 'text' ? '' : 'text-right font-mono'}`}>{i === 0 ? t('TOTAL') : formatReportCell(totals[c.key], c.type, formatMoney)}</td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PrintReport;
@@ -0,0 +1,98 @@
+import React, { useMemo } from 'react';
+import { Tooltip, Treemap } from 'recharts';
+import { Activity } from 'lucide-react';
+import { stageLabel } from './dataSources';
+import { buildTree } from './hierarchy';
+import { defaultFormatMoney } from './displaySettings';
+import { ChartBox, ChartFrame } from './Charts';
+import { useI18n } from './i18n';
+
+// Escala de color del treemap según el avance del gasto
+const AVANCE_SCALE = [
+  { max: 25, color: '#ef4444', label: '< 25%' },
+  { max: 50, color: '#f97316', label: '25–50%' },
+  { max: 75, color: '#eab308', label: '50–75%' },
+  { max: 90, color: '#84cc16', label: '75–90%' },
+  { max: Infinity, color: '#10b981', label: '≥ 90%' }
+];
+const avanceColor = (avance) => AVANCE_SCALE.find(step => avance < step.max).color;
+
+// Celda del treemap: los grupos del primer nivel solo dibujan su contorno y
+// las hojas se colorean por avance
+export const TreemapCell = ({ x, y, width, height, depth, name, avance, children }) => {
+  if (depth === 0) return null;
+  const isLeaf = !children || children.length === 0;
+  return (
+    <g>
+      <rect
+        x={x} y={y} width={width} height={height}
+        fill={isLeaf ? avanceColor(avance) : 'none'}
+        stroke="#fff"
+        strokeWidth={isLeaf ? 1 : 6}
+        style={isLeaf ? { cursor: 'pointer' } : undefined}
+      />
+      {isLeaf && width > 70 && height > 28 && (
+        <text x={x + 8} y={y + 18} fill="#fff" fontSize={10} fontWeight={800}>
+          {name.length > width / 7 ? `${name.slice(0, Math.floor(width / 7) - 1)}…` : name}
+        </text>
+      )}
+    </g>
+  );
+};
+
+export const TreemapTooltip = ({ active, payload, sizeLabel, formatMoney = defaultFormatMoney }) => {
+  const { t } = useI18n();
+  if (!active || !payload?.length) return null;
+  const node = payload[0].payload;
+  return (
+    <div className="bg-white rounded-[20px] shadow-xl p-4 max-w-xs">
+      <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">{node.path.slice(0, -1).join(' › ')}</p>
+      <p className="text-xs font-black text-slate-900 mt-1">{node.name}</p>
+      <p className="text-[10px] font-bold text-slate-500 mt-2">{sizeLabel || t('Aprobado')}: {formatMoney(node.size)}</p>
+      <p className="text-[10px] font-bold text-slate-500">{t('Avance')}: {node.avance.toFixed(1)}%</p>
+    </div>
+  );
+};
+
+// Mapa del presupuesto: dos niveles por pantalla para que las etiquetas sean
+// legibles; el clic en una celda desciende hasta ella
+const TreemapView = ({ records, levels, basePath, baseLevels, avanceBase, formatMoney, onSelect }) => {
+  const { t } = useI18n();
+  const tree = useMemo(
+    () => buildTree(records, levels.slice(0, 2), basePath, avanceBase, baseLevels),
+    [records, levels, basePath, baseLevels, avanceBase]
+  );
+
+  if (tree.length === 0) {
+    return (
+      <div className="bg-blue-50/50 border-2 border-dashed border-blue-200 rounded-[3.5rem] p-24 text-center">
+        <Activity className="mx-auto mb-6 text-blue-300" size={48} />
+        <h3 className="text-xl font-black text-slate-800 uppercase tracking-tight">{t('Sin niveles por explorar')}</h3>
+        <p className="text-slate-500 text-sm mt-2">{t('Esta selección ya está en el nivel más detallado disponible.')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <ChartBox title={t('Mapa por {levels} · tamaño por aprobado, color por avance vs {base}', {
+      levels: levels.slice(0, 2).map(level => t(level.label)).join(t(' y ')),
+      base: t(stageLabel(avanceBase)).toLowerCase()
+    })}>
+      <ChartFrame width="100%" height={520}>
+        <Treemap data={tree} dataKey="size" content={<TreemapCell />} isAnimationActive={false} onClick={(node) => onSelect(node.path, node.pathLevels)}>
+          <Tooltip content={<TreemapTooltip formatMoney={formatMoney} />} />
+        </Treemap>
+      </ChartFrame>
+      <div className="flex flex-wrap gap-4 mt-8">
+        {AVANCE_SCALE.map(step => (
+          <span key={step.label} className="flex items-center gap-2 text-[10px] font-black text-slate-500 uppercase tracking-widest">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: step.color }}></span>
+            {step.label}
+          </span>
+        ))}
+      </div>
+    </ChartBox>
+  );
+};
+
+export default TreemapView;
@@ -0,0 +1,64 @@
+import React, { useMemo } from 'react';
+import { XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { Activity } from 'lucide-react';
+import { hasMonthlyData, buildTrendSeries, groupTrends } from './timeSeries';
+import { DEFAULT_DISPLAY_SETTINGS, formatAxisAmount, defaultFormatMoney } from './displaySettings';
+import { ChartBox, legendStyle, tooltipStyle } from './Charts';
+import { useI18n } from './i18n';
+
+// Gráfica de línea acumulada: calendarizado contra pagado
+const TrendChart = ({ series, height = 380, compact = false, formatMoney = defaultFormatMoney, formatAxis }) => {
+  const { t } = useI18n();
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={series} margin={{ left: compact ? 0 : 20, right: 10 }}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+        <XAxis dataKey="month" tickFormatter={(month) => t(month)} tick={{fontSize: 9, fontWeight: 800, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
+        <YAxis hide={compact} tickFormatter={formatAxis || ((value) => formatAxisAmount(value, DEFAULT_DISPLAY_SETTINGS))} tick={{fontSize: 9, fontWeight: 800, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
+        <Tooltip contentStyle={tooltipStyle} formatter={(value) => formatMoney(value)} />
+        <Line type="monotone" dataKey="calendarizado" name={t('Calendarizado')} stroke="#cbd5e1" strokeWidth={3} strokeDasharray="6 4" dot={false} />
+        <Line type="monotone" dataKey="pagado" name={t('Pagado')} stroke="#2563eb" strokeWidth={3} dot={!compact} connectNulls={false} />
+        {!compact && <Legend verticalAlign="bottom" align="center" iconType="circle" wrapperStyle={legendStyle} />}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Vista "Tendencia": acumulado de la vista filtrada y desglose por ramo (o por UR si hay ramo filtrado)
+const TrendView = ({ records, groupKey, formatMoney, formatAxis }) => {
+  const { t } = useI18n();
+  const series = useMemo(() => buildTrendSeries(records), [records]);
+  const groups = useMemo(() => groupTrends(records, groupKey, 6), [records, groupKey]);
+
+  if (!hasMonthlyData(records)) {
+    return (
+      <div className="bg-blue-50/50 border-2 border-dashed border-blue-200 rounded-[3.5rem] p-24 text-center">
+        <Activity className="mx-auto mb-6 text-blue-300" size={48} />
+        <h3 className="text-xl font-black text-slate-800 uppercase tracking-tight">{t('Sin series mensuales')}</h3>
+        <p className="text-slate-500 text-sm mt-2">{t('Los registros no incluyen calendario ni pagos mensuales (p. ej.')} <code className="bg-blue-100 px-2 py-1 rounded text-blue-700 font-bold">PAGADO_ENE</code> … <code className="bg-blue-100 px-2 py-1 rounded text-blue-700 font-bold">PAGADO_DIC</code>).</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-10">
+      <div className="lg:col-span-3">
+        <ChartBox title={t('Calendarizado vs Pagado (Acumulado)')}>
+          <TrendChart series={series} formatMoney={formatMoney} formatAxis={formatAxis} />
+        </ChartBox>
+      </div>
+      {groups.map(group => (
+        <ChartBox key={group.name} title={group.name}>
+          <TrendChart series={group.series} height={180} compact formatMoney={formatMoney} />
+          {group.porcentaje !== null && (
+            <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest mt-4">
+              {t('Avance vs calendario:')} <span className="text-slate-900">{group.porcentaje}%</span>
+            </p>
+          )}
+        </ChartBox>
+      ))}
+    </div>
+  );
+};
+
+export default TrendView;
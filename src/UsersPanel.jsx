@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import { X, ChevronDown } from 'lucide-react';
+import { ROLES, subscribeUsers, setUserRole } from './auth';
+import { useI18n } from './i18n';
+
+/**
+ * Administración de roles: lista los usuarios que han iniciado sesión y permite
+ * cambiar su rol. Solo se muestra a administradores.
+ */
+const UsersPanel = ({ db, appId, currentUid, onClose }) => {
+  const { t } = useI18n();
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeUsers(db, appId, setUsers, (err) => setError(err.message)), [db, appId]);
+
+  const changeRole = (uid, role) => setUserRole(db, appId, uid, role).catch(err => setError(err.message));
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-900/40 backdrop-blur-sm flex items-center justify-center p-6">
+      <div className="bg-white rounded-[3rem] border border-slate-200 shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-10">
+        <div className="flex items-center justify-between mb-8">
+          <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-[0.3em] flex items-center gap-3">
+            <div className="w-2 h-2 bg-blue-600 rounded-full animate-pulse"></div>
+            {t('Usuarios y roles')}
+          </h3>
+          <button onClick={onClose} aria-label={t('Cerrar')} className="w-10 h-10 rounded-2xl bg-slate-100 text-slate-500 hover:text-slate-900 flex items-center justify-center transition-colors">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <p className="mb-6 text-xs font-bold text-red-500">{error}</p>}
+
+        <div className="divide-y divide-slate-100 border border-slate-200 rounded-[2rem] overflow-hidden">
+          {users.map(u => (
+            <div key={u.uid} className="flex items-center justify-between gap-4 px-6 py-4">
+              <div className="min-w-0">
+                <p className="text-xs font-black text-slate-700 truncate">{u.displayName || u.email}</p>
+                {u.displayName && <p className="text-[10px] font-bold text-slate-400 truncate">{u.email}</p>}
+              </div>
+              <div className="relative shrink-0">
+                <select
+                  value={u.role || 'viewer'}
+                  onChange={(e) => changeRole(u.uid, e.target.value)}
+                  disabled={u.uid === currentUid}
+                  title={u.uid === currentUid ? t('No puedes cambiar tu propio rol') : undefined}
+                  className="appearance-none bg-white border border-slate-200 px-5 py-3 pr-12 rounded-2xl text-xs font-bold text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm disabled:text-slate-400"
+                >
+                  {ROLES.map(role => <option key={role.key} value={role.key}>{t(role.label)}</option>)}
+                </select>
+                <ChevronDown className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none" size={16} />
+              </div>
+            </div>
+          ))}
+          {users.length === 0 && !error && (
+            <p className="px-6 py-4 text-[10px] font-bold text-slate-400 uppercase tracking-widest">{t('Aún no hay usuarios registrados')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsersPanel;
@@ -0,0 +1,187 @@
+import { collection, doc, onSnapshot, setDoc, deleteDoc, writeBatch } from 'firebase/firestore';
+import { UNCLASSIFIED } from './hierarchy';
+import { MONTH_LABELS } from './timeSeries';
+
+/**
+ * Motor de alertas: reglas configurables que se evalúan sobre cada fila de la
+ * vista. Una regla es { id, name, type, params, severity, enabled }.
+ */
+
+export const SEVERITIES = [
+  { key: 'critica', label: 'Crítica', color: '#ef4444' },
+  { key: 'advertencia', label: 'Advertencia', color: '#f59e0b' },
+  { key: 'info', label: 'Informativa', color: '#6366f1' }
+];
+
+const severityRank = (key) => SEVERITIES.findIndex(s => s.key === key);
+
+export const getSeverity = (key) => SEVERITIES.find(s => s.key === key) || SEVERITIES[SEVERITIES.length - 1];
+
+/**
+ * Tipos de regla. `params` describe los campos editables de cada tipo;
+ * `describe` recibe la función de traducción del idioma activo.
+ */
+export const RULE_TYPES = {
+  avanceBelow: {
+    label: 'Avance por debajo del umbral',
+    params: [
+      { key: 'threshold', label: 'Avance mínimo (%)', type: 'number' },
+      { key: 'month', label: 'A partir del mes', type: 'month' }
+    ],
+    describe: ({ threshold, month }, t) => t('Avance < {threshold}% desde {month}', { threshold, month: t(MONTH_LABELS[month]) }),
+    // Solo aplica cuando el ejercicio ya alcanzó el mes indicado
+    test: (row, { threshold, month }, context) =>
+      context.referenceMonth >= month && row.aprobado > 0 && row.avance < threshold
+  },
+  overpaid: {
+    label: 'Pagado mayor que aprobado',
+    params: [],
+    describe: (params, t) => t('Pagado > Aprobado'),
+    test: (row) => row.pagado > row.aprobado
+  },
+  noMovement: {
+    label: 'Sin movimiento',
+    params: [],
+    describe: (params, t) => t('Aprobado sin compromisos ni pagos'),
+    test: (row) => row.aprobado > 0 && !row.comprometido && !row.devengado && !row.ejercido && !row.pagado
+  },
+  ramoShare: {
+    label: 'Peso alto dentro del ramo',
+    params: [{ key: 'threshold', label: 'Participación mínima (%)', type: 'number' }],
+    describe: ({ threshold }, t) => t('≥ {threshold}% del aprobado del ramo', { threshold }),
+    test: (row, { threshold }, context) => {
+      const total = context.ramoTotals[row.ramo || UNCLASSIFIED];
+      return total > 0 && (row.aprobado / total) * 100 >= threshold;
+    }
+  }
+};
+
+export const DEFAULT_RULES = [
+  { id: 'subejercicio-junio', name: 'Subejercicio a medio año', type: 'avanceBelow', params: { threshold: 30, month: 5 }, severity: 'critica', enabled: true },
+  { id: 'sobreejercicio', name: 'Sobreejercicio', type: 'overpaid', params: {}, severity: 'critica', enabled: true },
+  { id: 'sin-movimiento', name: 'Sin movimiento', type: 'noMovement', params: {}, severity: 'advertencia', enabled: true },
+  { id: 'peso-ramo', name: 'Concentración en el ramo', type: 'ramoShare', params: { threshold: 40 }, severity: 'info', enabled: true }
+];
+
+export const createRule = (type = 'avanceBelow') => ({
+  id: `regla-${Date.now().toString(36)}`,
+  name: RULE_TYPES[type].label,
+  type,
+  params: Object.fromEntries(RULE_TYPES[type].params.map(p => [p.key, p.type === 'month' ? 0 : 50])),
+  severity: 'advertencia',
+  enabled: true
+});
+
+/**
+ * Mes de referencia para las reglas por mes: el de corte de los pagos mensuales;
+ * sin series mensuales se usa el calendario real del ejercicio.
+ */
+export const getReferenceMonth = (cutoff, year, today = new Date()) => {
+  if (cutoff >= 0) return cutoff;
+  if (year < today.getFullYear()) return 11;
+  if (year > today.getFullYear()) return -1;
+  return today.getMonth();
+};
+
+// Aprobado total por ramo, para medir el peso de cada fila dentro de su ramo
+export const computeRamoTotals = (records) => records.reduce((acc, r) => {
+  const ramo = r.ramo || UNCLASSIFIED;
+  acc[ramo] = (acc[ramo] || 0) + r.aprobado;
+  return acc;
+}, {});
+
+/**
+ * Evalúa las reglas activas. Devuelve las reglas disparadas por fila (id → reglas,
+ * ordenadas por severidad) y el conteo por regla.
+ */
+export const evaluateRules = (rows, rules, context) => {
+  const active = rules.filter(rule => rule.enabled && RULE_TYPES[rule.type]);
+  const byRow = new Map();
+  const counts = Object.fromEntries(rules.map(rule => [rule.id, 0]));
+
+  rows.forEach(row => {
+    const matched = active.filter(rule => RULE_TYPES[rule.type].test(row, rule.params, context));
+    if (matched.length === 0) return;
+    matched.forEach(rule => { counts[rule.id] += 1; });
+    byRow.set(row.id, matched.sort((a, b) => severityRank(a.severity) - severityRank(b.severity)));
+  });
+
+  return { byRow, counts, total: byRow.size };
+};
+
+// Severidad más alta entre varias filas (para colorear barras de un grupo)
+export const highestSeverity = (ruleLists) => ruleLists.reduce((best, rules) => {
+  const current = rules?.[0]?.severity;
+  if (!current) return best;
+  return best === null || severityRank(current) < severityRank(best) ? current : best;
+}, null);
+
+// Documento marcador: la colección ya se inicializó y quedarse sin reglas es
+// una decisión del equipo, no motivo para volver a las predeterminadas
+const INITIALIZED_MARKER = '_inicializadas';
+
+/**
+ * Almacén de reglas en Firestore, compartido por el equipo bajo el appId:
+ * `artifacts/{appId}/public/data/alertas_reglas/{ruleId}`.
+ */
+export const createFirestoreRuleStore = (db, appId) => {
+  const rulesPath = collection(db, 'artifacts', appId, 'public', 'data', 'alertas_reglas');
+  const markerRef = doc(rulesPath, INITIALIZED_MARKER);
+  return {
+    type: 'firestore',
+    // Solo una colección que nunca se inicializó entrega null (reglas predeterminadas)
+    subscribe: (onRules, onError) => onSnapshot(rulesPath,
+      (snapshot) => {
+        const ruleDocs = snapshot.docs.filter(d => d.id !== INITIALIZED_MARKER);
+        const initialized = ruleDocs.length < snapshot.size;
+        onRules(initialized || ruleDocs.length > 0 ? ruleDocs.map(d => ({ ...d.data(), id: d.id })) : null);
+      },
+      onError
+    ),
+    // Guarda las reglas iniciales y el marcador en una sola escritura
+    seed: (rules) => {
+      const batch = writeBatch(db);
+      rules.forEach(rule => batch.set(doc(rulesPath, rule.id), rule));
+      batch.set(markerRef, { initializedAt: Date.now() });
+      return batch.commit();
+    },
+    save: (rule) => setDoc(doc(rulesPath, rule.id), rule),
+    // Colecciones sembradas antes del marcador lo reciben al borrar su primera regla
+    remove: (id) => {
+      const batch = writeBatch(db);
+      batch.delete(doc(rulesPath, id));
+      batch.set(markerRef, { initializedAt: Date.now() }, { merge: true });
+      return batch.commit();
+    }
+  };
+};
+
+/**
+ * Almacén en memoria para cuando no hay proyecto de Firebase.
+ */
+export const createLocalRuleStore = () => {
+  let rules = null;
+  const listeners = new Set();
+  const emit = () => listeners.forEach(listener => listener(rules));
+  return {
+    type: 'local',
+    subscribe: (onRules) => {
+      listeners.add(onRules);
+      onRules(rules);
+      return () => listeners.delete(onRules);
+    },
+    seed: async (initial) => {
+      rules = [...initial];
+      emit();
+    },
+    save: async (rule) => {
+      const list = rules || [];
+      rules = list.some(r => r.id === rule.id) ? list.map(r => r.id === rule.id ? rule : r) : [...list, rule];
+      emit();
+    },
+    remove: async (id) => {
+      rules = (rules || []).filter(r => r.id !== id);
+      emit();
+    }
+  };
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RULES, computeRamoTotals, evaluateRules, highestSeverity, getReferenceMonth } from './alertRules';
+
+const row = (id, ramo, aprobado, pagado, moved = pagado) => ({
+  id, ramo, aprobado, pagado,
+  comprometido: moved, devengado: moved, ejercido: moved,
+  avance: aprobado > 0 ? (pagado / aprobado) * 100 : 0
+});
+
+const rows = [
+  row('a', 'Salud', 100, 10),
+  row('b', 'Salud', 300, 0),
+  row('c', 'Energía', 50, 80)
+];
+
+const ruleIds = (result, id) => (result.byRow.get(id) || []).map(rule => rule.id);
+
+describe('evaluateRules', () => {
+  it('devuelve las reglas disparadas por fila, de la más a la menos severa', () => {
+    const result = evaluateRules(rows, DEFAULT_RULES, { referenceMonth: 6, ramoTotals: computeRamoTotals(rows) });
+    expect(ruleIds(result, 'a')).toEqual(['subejercicio-junio']);
+    expect(ruleIds(result, 'b')).toEqual(['subejercicio-junio', 'sin-movimiento', 'peso-ramo']);
+    expect(ruleIds(result, 'c')).toEqual(['sobreejercicio', 'peso-ramo']);
+    expect(result.total).toBe(3);
+    expect(result.counts).toEqual({ 'subejercicio-junio': 2, sobreejercicio: 1, 'sin-movimiento': 1, 'peso-ramo': 2 });
+  });
+
+  it('las reglas por mes esperan a que el ejercicio llegue al mes indicado', () => {
+    const result = evaluateRules(rows, DEFAULT_RULES, { referenceMonth: 3, ramoTotals: computeRamoTotals(rows) });
+    expect(ruleIds(result, 'a')).toEqual([]);
+    expect(result.counts['subejercicio-junio']).toBe(0);
+  });
+
+  it('ignora las reglas desactivadas pero las conserva en el conteo', () => {
+    const rules = DEFAULT_RULES.map(rule => ({ ...rule, enabled: rule.id !== 'sobreejercicio' }));
+    const result = evaluateRules(rows, rules, { referenceMonth: 6, ramoTotals: computeRamoTotals(rows) });
+    expect(ruleIds(result, 'c')).toEqual(['peso-ramo']);
+    expect(result.counts.sobreejercicio).toBe(0);
+  });
+});
+
+describe('highestSeverity', () => {
+  it('elige la severidad más alta entre varias filas', () => {
+    const result = evaluateRules(rows, DEFAULT_RULES, { referenceMonth: 6, ramoTotals: computeRamoTotals(rows) });
+    expect(highestSeverity([result.byRow.get('c'), undefined])).toBe('critica');
+    expect(highestSeverity([undefined])).toBeNull();
+  });
+});
+
+describe('getReferenceMonth', () => {
+  const today = new Date(2024, 4, 15);
+  it('usa el mes de corte y, sin series mensuales, el calendario del ejercicio', () => {
+    expect(getReferenceMonth(7, 2024, today)).toBe(7);
+    expect(getReferenceMonth(-1, 2023, today)).toBe(11);
+    expect(getReferenceMonth(-1, 2024, today)).toBe(4);
+    expect(getReferenceMonth(-1, 2025, today)).toBe(-1);
+  });
+});
@@ -0,0 +1,83 @@
+import { collection, doc, onSnapshot, setDoc, updateDoc, arrayUnion } from 'firebase/firestore';
+
+/**
+ * Anotaciones: hilos de comentarios sobre un registro del Explorador o sobre un
+ * agregado de la jerarquía (ramo, UR, ...). Se guardan junto a los datos del
+ * ejercicio en `artifacts/{appId}/public/data/anotaciones_{año}/{hilo}`.
+ *
+ * Hilo: { targetKey, label, status: 'open' | 'resolved', updatedAt,
+ *         comments: [{ id, text, authorUid, authorName, createdAt }] }
+ */
+
+export const getAnnotationsCollection = (year) => `anotaciones_${year}`;
+
+export const recordTarget = (record) => ({
+  key: `registro:${record.id}`,
+  label: [record.ramo, record.ur].filter(Boolean).join(' · ')
+});
+
+export const pathTarget = (path) => ({
+  key: `ruta:${path.join('~')}`,
+  label: path.join(' › ')
+});
+
+export const createComment = (text, user) => ({
+  id: `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  text,
+  authorUid: user?.uid || null,
+  authorName: user && !user.isAnonymous ? (user.displayName || user.email) : 'Invitado',
+  createdAt: Date.now()
+});
+
+// Los ids de Firestore no admiten "/"
+const threadId = (targetKey) => encodeURIComponent(targetKey);
+
+export const createFirestoreAnnotationStore = (db, appId) => {
+  const threadsPath = (year) => collection(db, 'artifacts', appId, 'public', 'data', getAnnotationsCollection(year));
+  return {
+    type: 'firestore',
+    subscribe: (year, onThreads, onError) => onSnapshot(threadsPath(year),
+      (snapshot) => onThreads(snapshot.docs.map(d => d.data())),
+      onError
+    ),
+    // Un comentario nuevo reabre el hilo
+    addComment: (year, target, comment) => setDoc(doc(threadsPath(year), threadId(target.key)), {
+      targetKey: target.key,
+      label: target.label,
+      status: 'open',
+      updatedAt: comment.createdAt,
+      comments: arrayUnion(comment)
+    }, { merge: true }),
+    setStatus: (year, targetKey, status) => updateDoc(doc(threadsPath(year), threadId(targetKey)), { status, updatedAt: Date.now() })
+  };
+};
+
+/**
+ * Anotaciones en memoria cuando no hay proyecto de Firebase.
+ */
+export const createLocalAnnotationStore = () => {
+  const threadsByYear = {};
+  const listeners = new Set();
+  const emit = (year) => listeners.forEach(listener => listener.year === year && listener.onThreads(Object.values(threadsByYear[year] || {})));
+  return {
+    type: 'local',
+    subscribe: (year, onThreads) => {
+      const listener = { year, onThreads };
+      listeners.add(listener);
+      onThreads(Object.values(threadsByYear[year] || {}));
+      return () => listeners.delete(listener);
+    },
+    addComment: async (year, target, comment) => {
+      const threads = threadsByYear[year] = threadsByYear[year] || {};
+      const thread = threads[target.key] || { targetKey: target.key, label: target.label, comments: [] };
+      threads[target.key] = { ...thread, status: 'open', updatedAt: comment.createdAt, comments: [...thread.comments, comment] };
+      emit(year);
+    },
+    setStatus: async (year, targetKey, status) => {
+      const thread = threadsByYear[year]?.[targetKey];
+      if (!thread) return;
+      threadsByYear[year][targetKey] = { ...thread, status, updatedAt: Date.now() };
+      emit(year);
+    }
+  };
+};
@@ -0,0 +1,96 @@
+import {
+  GoogleAuthProvider, signInWithPopup, signInWithEmailAndPassword,
+  createUserWithEmailAndPassword, signOut
+} from 'firebase/auth';
+import { collection, doc, onSnapshot, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { DEFAULT_LOCALE, isLocale, translate } from './i18n';
+
+/**
+ * Cuentas y roles. El rol de cada usuario vive en
+ * `artifacts/{appId}/public/data/usuarios/{uid}`; el propio usuario solo puede
+ * escribir su perfil (incluido su idioma `locale`), el campo `role` lo asigna
+ * un administrador. Lo hacen cumplir las reglas de `firestore.rules`, que
+ * también explican cómo dar de alta al primer administrador.
+ */
+
+export const ROLES = [
+  { key: 'viewer', label: 'Consulta' },
+  { key: 'analyst', label: 'Analista' },
+  { key: 'admin', label: 'Administrador' }
+];
+
+// Rol mínimo para cada acción
+const PERMISSIONS = {
+  importData: 'analyst',
+  editRules: 'analyst',
+  annotate: 'analyst',
+  manageUsers: 'admin'
+};
+
+const roleRank = (role) => ROLES.findIndex(r => r.key === role);
+
+export const getRoleLabel = (role) => (ROLES.find(r => r.key === role) || ROLES[0]).label;
+
+export const hasPermission = (role, permission) => roleRank(role) >= roleRank(PERMISSIONS[permission]);
+
+const usersCollection = (db, appId) => collection(db, 'artifacts', appId, 'public', 'data', 'usuarios');
+
+/**
+ * Perfil del usuario en tiempo real: `{ role, locale }`. Sin documento (o en
+ * sesión anónima) es de consulta y sin idioma guardado (`locale` null).
+ */
+export const subscribeProfile = (db, appId, user, onProfile) => {
+  const fallback = { role: 'viewer', locale: null };
+  if (user.isAnonymous) {
+    onProfile(fallback);
+    return () => {};
+  }
+  return onSnapshot(doc(usersCollection(db, appId), user.uid),
+    (snapshot) => {
+      const profile = snapshot.data() || {};
+      onProfile({ role: profile.role || 'viewer', locale: isLocale(profile.locale) ? profile.locale : null });
+    },
+    () => onProfile(fallback)
+  );
+};
+
+// Perfil visible para los administradores; nunca incluye el rol
+export const saveProfile = (db, appId, user) => setDoc(doc(usersCollection(db, appId), user.uid), {
+  email: user.email,
+  displayName: user.displayName || null,
+  lastLogin: serverTimestamp()
+}, { merge: true });
+
+export const saveUserLocale = (db, appId, uid, locale) => setDoc(doc(usersCollection(db, appId), uid), { locale }, { merge: true });
+
+export const subscribeUsers = (db, appId, onUsers, onError) => onSnapshot(usersCollection(db, appId),
+  (snapshot) => onUsers(snapshot.docs.map(d => ({ ...d.data(), uid: d.id }))),
+  onError
+);
+
+export const setUserRole = (db, appId, uid, role) => updateDoc(doc(usersCollection(db, appId), uid), { role });
+
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email, password);
+
+export const registerWithEmail = (auth, email, password) => createUserWithEmailAndPassword(auth, email, password);
+
+export const signInWithGoogle = (auth) => signInWithPopup(auth, new GoogleAuthProvider());
+
+export const signOutUser = (auth) => signOut(auth);
+
+// Mensajes para los errores más comunes de Firebase Auth; se traducen al mostrarlos
+const AUTH_ERRORS = {
+  'auth/invalid-email': 'El correo no es válido.',
+  'auth/invalid-credential': 'Correo o contraseña incorrectos.',
+  'auth/wrong-password': 'Correo o contraseña incorrectos.',
+  'auth/user-not-found': 'No existe una cuenta con ese correo.',
+  'auth/email-already-in-use': 'Ya existe una cuenta con ese correo.',
+  'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+  'auth/popup-closed-by-user': 'Se cerró la ventana de Google antes de terminar.',
+  'auth/operation-not-allowed': 'Este método de acceso no está habilitado en Firebase.',
+  'auth/too-many-requests': 'Demasiados intentos. Intenta de nuevo más tarde.'
+};
+
+export const describeAuthError = (err, locale = DEFAULT_LOCALE) => AUTH_ERRORS[err.code]
+  ? translate(locale, AUTH_ERRORS[err.code])
+  : translate(locale, 'No se pudo iniciar sesión: {message}', { message: err.message });
@@ -0,0 +1,151 @@
+import { BUDGET_STAGES, computeAvance } from './dataSources';
+import { createFirestoreUserStore, createLocalUserStore } from './userCollections';
+
+/**
+ * Tableros personalizables: cada widget elige tipo, métrica, agrupación y
+ * cuántos grupos mostrar. Los tableros con nombre se guardan por usuario en
+ * `artifacts/{appId}/users/{uid}/tableros`; al abrir el dashboard se usa el
+ * último que el usuario eligió (`openedAt`).
+ */
+
+export const WIDGET_TYPES = [
+  { key: 'bar', label: 'Barras' },
+  { key: 'pie', label: 'Pastel' },
+  { key: 'treemap', label: 'Mapa' },
+  { key: 'table', label: 'Tabla' },
+  { key: 'kpi', label: 'Indicador' }
+];
+
+export const WIDGET_METRICS = [
+  ...BUDGET_STAGES.map(({ key, label }) => ({ key, label, type: 'amount' })),
+  { key: 'avance', label: 'Avance', type: 'percent' }
+];
+
+// Pastel y mapa reparten un total: el avance (porcentaje) no se puede sumar
+const AMOUNT_ONLY = ['pie', 'treemap'];
+
+export const getMetricsFor = (type) => AMOUNT_ONLY.includes(type)
+  ? WIDGET_METRICS.filter(metric => metric.type === 'amount')
+  : WIDGET_METRICS;
+
+export const getMetric = (key) => WIDGET_METRICS.find(metric => metric.key === key) || WIDGET_METRICS[0];
+
+// 'auto' agrupa por el nivel siguiente a la ruta, como el dashboard original
+export const AUTO_GROUPING = 'auto';
+
+export const TOP_N_OPTIONS = [5, 8, 10, 15, 20];
+
+// Niveles que se pueden fijar lado a lado; una UR se identifica con su ramo
+export const COMPARISON_LEVELS = ['ramo', 'ur'];
+
+// Firestore no admite arreglos anidados: cada elemento fijado es { ramo, ur }
+export const toPin = (path) => ({ ramo: path[0], ur: path[1] ?? null });
+export const pinPath = (pin) => pin.ur ? [pin.ramo, pin.ur] : [pin.ramo];
+
+export const DEFAULT_LAYOUT = {
+  widgets: [
+    { id: 'gasto', type: 'bar', metric: 'aprobado', groupBy: AUTO_GROUPING, topN: 8, wide: false },
+    { id: 'pagos', type: 'pie', metric: 'pagado', groupBy: AUTO_GROUPING, topN: 8, wide: false }
+  ],
+  comparison: { level: 'ramo', pins: [] }
+};
+
+export const createWidget = (type) => ({
+  id: `widget-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  type,
+  metric: type === 'kpi' ? 'pagado' : 'aprobado',
+  groupBy: AUTO_GROUPING,
+  topN: 8,
+  wide: type === 'table'
+});
+
+/**
+ * Corrige un widget guardado: tipo y métrica conocidos, métrica compatible
+ * con el tipo y top-N dentro de las opciones.
+ */
+const normalizeWidget = (widget) => {
+  const type = WIDGET_TYPES.some(option => option.key === widget.type) ? widget.type : 'bar';
+  const metrics = getMetricsFor(type);
+  return {
+    id: String(widget.id),
+    type,
+    metric: metrics.some(m => m.key === widget.metric) ? widget.metric : metrics[0].key,
+    groupBy: typeof widget.groupBy === 'string' ? widget.groupBy : AUTO_GROUPING,
+    topN: TOP_N_OPTIONS.includes(widget.topN) ? widget.topN : 8,
+    wide: widget.wide === true
+  };
+};
+
+export const normalizeLayout = (saved) => {
+  if (!saved || !Array.isArray(saved.widgets)) return DEFAULT_LAYOUT;
+  const comparison = saved.comparison || {};
+  const level = COMPARISON_LEVELS.includes(comparison.level) ? comparison.level : 'ramo';
+  // Los elementos fijados deben ser del nivel de la comparación
+  const pins = Array.isArray(comparison.pins)
+    ? comparison.pins.filter(pin => pin && pin.ramo && (level === 'ur') === !!pin.ur)
+    : [];
+  return {
+    widgets: saved.widgets.filter(w => w && w.id).map(normalizeWidget),
+    comparison: { level, pins: pins.map(pin => ({ ramo: pin.ramo, ur: pin.ur ?? null })).slice(0, 2) }
+  };
+};
+
+// Solo widgets y comparación: el nombre y las fechas no cuentan como cambio
+export const isSameLayout = (a, b) => JSON.stringify(normalizeLayout(a)) === JSON.stringify(normalizeLayout(b));
+
+export const updateWidget = (layout, id, changes) => ({
+  ...layout,
+  widgets: layout.widgets.map(w => w.id === id ? normalizeWidget({ ...w, ...changes }) : w)
+});
+
+export const removeWidget = (layout, id) => ({ ...layout, widgets: layout.widgets.filter(w => w.id !== id) });
+
+// Mueve el widget `offset` posiciones dentro del tablero
+export const moveWidget = (layout, id, offset) => {
+  const widgets = [...layout.widgets];
+  const from = widgets.findIndex(w => w.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= widgets.length) return layout;
+  [widgets[from], widgets[to]] = [widgets[to], widgets[from]];
+  return { ...layout, widgets };
+};
+
+/**
+ * Grupos con su avance ordenados por la métrica del widget y recortados al top-N.
+ */
+export const rankGroups = (groups, { metric, topN }, avanceBase) => groups
+  .map(group => ({ ...group, avance: computeAvance(group, avanceBase) }))
+  .sort((a, b) => b[metric] - a[metric])
+  .slice(0, topN);
+
+// Tablero elegido más recientemente; null si no hay guardados
+export const getLastOpened = (layouts) => layouts.reduce(
+  (last, layout) => !last || (layout.openedAt || 0) > (last.openedAt || 0) ? layout : last,
+  null
+);
+
+const STORAGE_KEY = 'presupuesto.tablero';
+
+// Tablero en uso en este navegador, aunque no se haya guardado con nombre
+export const loadDashboardLayout = () => {
+  try {
+    return normalizeLayout(JSON.parse(window.localStorage.getItem(STORAGE_KEY)));
+  } catch (err) {
+    return DEFAULT_LAYOUT;
+  }
+};
+
+export const saveDashboardLayout = (layout) => window.localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+
+// Conserva id, nombre y `openedAt`; completa widgets y comparación
+const normalizeSavedLayout = (saved) => ({ ...saved, ...normalizeLayout(saved) });
+
+/**
+ * Tableros con nombre de cada usuario (`artifacts/{appId}/users/{uid}/tableros`);
+ * sin proyecto de Firebase se guardan en el navegador.
+ */
+export const createFirestoreLayoutStore = (db, appId, uid) =>
+  createFirestoreUserStore(db, appId, uid, 'tableros', normalizeSavedLayout);
+
+export const createLocalLayoutStore = (storageKey = 'presupuesto_tableros') =>
+  createLocalUserStore(storageKey, normalizeSavedLayout);
@@ -0,0 +1,54 @@
+import { BUDGET_STAGES } from './dataSources';
+import { HIERARCHY } from './hierarchy';
+
+/**
+ * Validación de los registros cargados. Los problemas del documento crudo los
+ * detecta `inspectRawRecord` al normalizar (quedan en `record.issues`); aquí se
+ * agregan los que requieren comparar montos o registros entre sí.
+ */
+
+export const ISSUE_TYPES = [
+  { key: 'invalidAmount', label: 'Montos no numéricos', description: 'Aprobado o pagado vacío, o algún monto que no es número; se tomó como 0' },
+  { key: 'negativeAmount', label: 'Montos negativos', description: 'Algún momento contable con valor menor a cero' },
+  { key: 'missingRamo', label: 'Sin DESC_RAMO', description: 'Se muestran como "Sin clasificar"' },
+  { key: 'missingUR', label: 'Sin DESC_UR', description: 'Se muestran como "N/A"' },
+  { key: 'duplicate', label: 'Registros duplicados', description: 'Misma clasificación y mismos montos que otro documento' },
+  { key: 'overpaid', label: 'Pagado mayor al aprobado', description: 'El monto pagado excede el aprobado' }
+];
+
+export const getIssueType = (key) => ISSUE_TYPES.find(type => type.key === key);
+
+// Dos documentos son duplicados si coinciden en toda la clasificación y en todos los montos
+const recordSignature = (record) => [
+  ...HIERARCHY.map(level => record[level.key]),
+  ...BUDGET_STAGES.map(stage => record[stage.key])
+].join('|');
+
+/**
+ * Reporte de calidad: `byId` tiene solo los registros con problemas; `counts`
+ * cuenta registros (no problemas) por tipo. En los duplicados se marca cada
+ * copia a partir de la segunda, de modo que al excluirlos queda una.
+ */
+export const validateRecords = (records) => {
+  const byId = new Map();
+  const counts = Object.fromEntries(ISSUE_TYPES.map(type => [type.key, 0]));
+  const firstBySignature = new Map();
+
+  records.forEach(record => {
+    const issues = [...(record.issues || [])];
+    if (record.pagado > record.aprobado) issues.push({ type: 'overpaid', field: 'pagado' });
+
+    const signature = recordSignature(record);
+    if (firstBySignature.has(signature)) issues.push({ type: 'duplicate', field: null, of: firstBySignature.get(signature) });
+    else firstBySignature.set(signature, record.id);
+
+    if (issues.length === 0) return;
+    byId.set(record.id, issues);
+    new Set(issues.map(issue => issue.type)).forEach(type => counts[type]++);
+  });
+
+  return { byId, counts, invalidCount: byId.size, total: records.length };
+};
+
+export const withoutInvalid = (records, report = validateRecords(records)) =>
+  records.filter(record => !report.byId.has(record.id));
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { validateRecords, withoutInvalid } from './dataQuality';
+
+const record = (id, fields = {}) => ({ id, ramo: 'Salud', ur: 'IMSS', aprobado: 100, modificado: 100, pagado: 40, issues: [], ...fields });
+
+const records = [
+  record('a'),
+  record('b', { pagado: 150 }),
+  record('c'),
+  record('d', { ur: 'N/A', issues: [{ type: 'missingUR', field: 'ur' }] })
+];
+
+describe('validateRecords', () => {
+  it('cuenta registros por tipo de problema y guarda solo los que tienen alguno', () => {
+    const report = validateRecords(records);
+    expect(report.total).toBe(4);
+    expect(report.invalidCount).toBe(3);
+    expect(report.counts).toMatchObject({ overpaid: 1, duplicate: 1, missingUR: 1, invalidAmount: 0 });
+    expect(report.byId.has('a')).toBe(false);
+    expect(report.byId.get('b')).toEqual([{ type: 'overpaid', field: 'pagado' }]);
+  });
+
+  it('marca como duplicadas las copias a partir de la segunda', () => {
+    const report = validateRecords(records);
+    expect(report.byId.get('c')).toEqual([{ type: 'duplicate', field: null, of: 'a' }]);
+  });
+});
+
+describe('withoutInvalid', () => {
+  it('deja fuera los registros con problemas', () => {
+    expect(withoutInvalid(records).map(r => r.id)).toEqual(['a']);
+  });
+
+  it('usa el reporte recibido en lugar de volver a validar', () => {
+    const report = { byId: new Map([['a', []]]) };
+    expect(withoutInvalid(records, report).map(r => r.id)).toEqual(['b', 'c', 'd']);
+  });
+});
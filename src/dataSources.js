@@ -0,0 +1,441 @@
+import {
+  collection, doc, onSnapshot, query, where, orderBy, limit, startAfter,
+  getDocs, getDoc, getCountFromServer, getAggregateFromServer, sum
+} from 'firebase/firestore';
+
+/**
+ * Capa de fuentes de datos del visor.
+ *
+ * Cada adaptador expone `subscribe(year, onData, onError)` y devuelve la función
+ * para cancelar la suscripción. `onData(records, { fromCache })` indica si los
+ * registros vienen de la caché local. Todos entregan registros ya normalizados:
+ * { id, ramo, ur, programa, capitulo, concepto, partida, aprobado, modificado, comprometido,
+ *   devengado, ejercido, pagado, avance, calendario, pagadoMensual, issues }. Los niveles bajo la UR
+ * son null cuando la fuente no los trae; los mensuales son arreglos de 12 montos o null.
+ * `issues` lista los problemas del documento crudo que la normalización oculta (ver dataQuality).
+ */
+
+export const getBudgetCollection = (year) => `presupuesto_${year}`;
+
+// Momentos contables del gasto, en el orden en que avanza el ciclo presupuestal
+export const BUDGET_STAGES = [
+  { key: 'aprobado', label: 'Aprobado' },
+  { key: 'modificado', label: 'Modificado' },
+  { key: 'comprometido', label: 'Comprometido' },
+  { key: 'devengado', label: 'Devengado' },
+  { key: 'ejercido', label: 'Ejercido' },
+  { key: 'pagado', label: 'Pagado' }
+];
+
+// Meses del ejercicio; las columnas mensuales usan el sufijo abreviado, completo o numérico
+export const MONTHS = ['ENE', 'FEB', 'MAR', 'ABR', 'MAY', 'JUN', 'JUL', 'AGO', 'SEP', 'OCT', 'NOV', 'DIC'];
+const MONTH_NAMES = ['ENERO', 'FEBRERO', 'MARZO', 'ABRIL', 'MAYO', 'JUNIO', 'JULIO', 'AGOSTO', 'SEPTIEMBRE', 'OCTUBRE', 'NOVIEMBRE', 'DICIEMBRE'];
+const MONTHLY_SUFFIX = new RegExp(`^(.+)_(${[...MONTHS, ...MONTH_NAMES].join('|')}|0?[1-9]|1[0-2])$`);
+
+// Bases contra las que puede calcularse el avance
+export const AVANCE_BASES = ['aprobado', 'modificado'];
+
+/**
+ * Porcentaje pagado contra la base elegida. Si el registro no trae monto
+ * modificado se usa el aprobado.
+ */
+export const computeAvance = (record, base = 'aprobado') => {
+  const denominator = base === 'modificado' && record.modificado > 0 ? record.modificado : record.aprobado;
+  return denominator > 0 ? (record.pagado / denominator) * 100 : 0;
+};
+
+// Nombre del momento contable, p. ej. para la base del avance
+export const stageLabel = (key) => BUDGET_STAGES.find(stage => stage.key === key).label;
+
+// Clave del monto del año de referencia: aprobado → refAprobado
+export const refKey = (key) => `ref${key[0].toUpperCase()}${key.slice(1)}`;
+
+// Variación absoluta y porcentual contra el año de referencia
+export const computeDelta = (current, reference) => ({
+  abs: current - reference,
+  pct: reference > 0 ? ((current - reference) / reference) * 100 : null
+});
+
+// Campos del modelo que pueden mapearse desde columnas externas
+export const RECORD_FIELDS = [
+  { key: 'ramo', label: 'Ramo', required: true },
+  { key: 'ur', label: 'Unidad Responsable', required: true },
+  { key: 'programa', label: 'Programa presupuestario', required: false },
+  { key: 'capitulo', label: 'Capítulo de gasto', required: false },
+  { key: 'concepto', label: 'Concepto de gasto', required: false },
+  { key: 'partida', label: 'Partida de gasto', required: false },
+  { key: 'aprobado', label: 'Monto aprobado', required: true },
+  { key: 'modificado', label: 'Monto modificado', required: false },
+  { key: 'comprometido', label: 'Monto comprometido', required: false },
+  { key: 'devengado', label: 'Monto devengado', required: false },
+  { key: 'ejercido', label: 'Monto ejercido', required: false },
+  { key: 'pagado', label: 'Monto pagado', required: true },
+  { key: 'ciclo', label: 'Ciclo (año)', required: false },
+  { key: 'calendario', label: 'Calendario aprobado mensual', required: false, monthly: true },
+  { key: 'pagadoMensual', label: 'Pagado mensual', required: false, monthly: true }
+];
+
+export const DEFAULT_COLUMN_MAPPING = {
+  ramo: 'DESC_RAMO',
+  ur: 'DESC_UR',
+  programa: 'DESC_PP',
+  capitulo: 'DESC_CAPITULO',
+  concepto: 'DESC_CONCEPTO',
+  partida: 'DESC_PARTIDA_ESPECIFICA',
+  aprobado: 'MONTO_APROBADO',
+  modificado: 'MONTO_MODIFICADO',
+  comprometido: 'MONTO_COMPROMETIDO',
+  devengado: 'MONTO_DEVENGADO',
+  ejercido: 'MONTO_EJERCIDO',
+  pagado: 'MONTO_PAGADO',
+  ciclo: 'CICLO',
+  // Prefijos mensuales: CALENDARIO_ENE ... CALENDARIO_DIC, o un arreglo de 12 montos
+  calendario: 'CALENDARIO',
+  pagadoMensual: 'PAGADO'
+};
+
+// Variantes de encabezados presentes en los datos abiertos de Hacienda
+const COLUMN_ALIASES = {
+  ramo: ['DESC_RAMO', 'RAMO', 'NOMBRE_RAMO'],
+  ur: ['DESC_UR', 'UR', 'UNIDAD_RESPONSABLE', 'NOMBRE_UR'],
+  programa: ['DESC_PP', 'PROGRAMA', 'PROGRAMA_PRESUPUESTARIO', 'DESC_PROGRAMA'],
+  capitulo: ['DESC_CAPITULO', 'CAPITULO'],
+  concepto: ['DESC_CONCEPTO', 'CONCEPTO'],
+  partida: ['DESC_PARTIDA_ESPECIFICA', 'DESC_PARTIDA_GENERICA', 'DESC_PARTIDA', 'PARTIDA'],
+  aprobado: ['MONTO_APROBADO', 'APROBADO'],
+  modificado: ['MONTO_MODIFICADO', 'MODIFICADO'],
+  comprometido: ['MONTO_COMPROMETIDO', 'COMPROMETIDO'],
+  devengado: ['MONTO_DEVENGADO', 'DEVENGADO'],
+  ejercido: ['MONTO_EJERCIDO', 'EJERCIDO'],
+  pagado: ['MONTO_PAGADO', 'PAGADO'],
+  ciclo: ['CICLO', 'EJERCICIO', 'ANIO', 'ANO'],
+  calendario: ['CALENDARIO', 'CALENDARIZADO', 'APROBADO', 'MONTO_APROBADO'],
+  pagadoMensual: ['PAGADO', 'MONTO_PAGADO', 'PAGADO_MENSUAL']
+};
+
+const normalizeHeader = (header) => String(header)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toUpperCase()
+  .replace(/\s+/g, '_');
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+const toNumber = (value) => typeof value === 'number' ? value : Number(String(value).replace(/[$\s,]/g, ''));
+
+/**
+ * Convierte montos con formato ("$1,234.50", " 1200 ") a número; lo no numérico vale 0.
+ */
+export const parseAmount = (value) => {
+  if (isBlank(value)) return 0;
+  const amount = toNumber(value);
+  return Number.isFinite(amount) ? amount : 0;
+};
+
+/**
+ * Problemas del documento crudo que la normalización convierte en 0 o en
+ * "Sin clasificar": montos no numéricos o negativos y ramo/UR vacíos.
+ * Los montos opcionales vacíos no cuentan como error.
+ */
+export const inspectRawRecord = (raw, mapping = DEFAULT_COLUMN_MAPPING) => {
+  const issues = [];
+  BUDGET_STAGES.forEach(({ key }) => {
+    const value = raw[mapping[key]];
+    if (isBlank(value)) {
+      if (RECORD_FIELDS.find(field => field.key === key).required) issues.push({ type: 'invalidAmount', field: key });
+      return;
+    }
+    const amount = toNumber(value);
+    if (!Number.isFinite(amount)) issues.push({ type: 'invalidAmount', field: key });
+    else if (amount < 0) issues.push({ type: 'negativeAmount', field: key });
+  });
+  if (isBlank(raw[mapping.ramo])) issues.push({ type: 'missingRamo', field: 'ramo' });
+  if (isBlank(raw[mapping.ur])) issues.push({ type: 'missingUR', field: 'ur' });
+  return issues;
+};
+
+/**
+ * Prefijos con columnas mensuales presentes en los encabezados (PAGADO_ENE → PAGADO).
+ */
+export const detectMonthlyPrefixes = (headers) => [...new Set(
+  headers.map(h => normalizeHeader(h).match(MONTHLY_SUFFIX)?.[1]).filter(Boolean)
+)];
+
+/**
+ * Columnas de los 12 meses para un prefijo, o null si no hay ninguna.
+ */
+export const resolveMonthlyColumns = (headers, prefix) => {
+  const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const base = normalizeHeader(prefix);
+  const columns = MONTHS.map((abbr, i) => {
+    const suffixes = [abbr, MONTH_NAMES[i], String(i + 1).padStart(2, '0'), String(i + 1)];
+    return suffixes.map(suffix => byNormalized.get(`${base}_${suffix}`)).find(Boolean) || null;
+  });
+  return columns.some(Boolean) ? columns : null;
+};
+
+// `source` es un prefijo o las 12 columnas ya resueltas en la importación
+const readMonthly = (raw, source) => {
+  if (!source) return null;
+  if (Array.isArray(source)) return source.map(column => column ? parseAmount(raw[column]) : 0);
+  if (Array.isArray(raw[source])) return MONTHS.map((_, i) => parseAmount(raw[source][i]));
+  const columns = resolveMonthlyColumns(Object.keys(raw), source);
+  return columns ? columns.map(column => column ? parseAmount(raw[column]) : 0) : null;
+};
+
+/**
+ * Normaliza un registro crudo al modelo del visor usando el mapeo de columnas.
+ */
+export const normalizeRecord = (raw, id, mapping = DEFAULT_COLUMN_MAPPING) => {
+  const amounts = Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, parseAmount(raw[mapping[key]])]));
+  return {
+    id,
+    ramo: raw[mapping.ramo] || "Sin clasificar",
+    ...amounts,
+    avance: computeAvance(amounts),
+    ur: raw[mapping.ur] || "N/A",
+    programa: raw[mapping.programa] || null,
+    capitulo: raw[mapping.capitulo] || null,
+    concepto: raw[mapping.concepto] || null,
+    partida: raw[mapping.partida] || null,
+    calendario: readMonthly(raw, mapping.calendario),
+    pagadoMensual: readMonthly(raw, mapping.pagadoMensual),
+    issues: inspectRawRecord(raw, mapping)
+  };
+};
+
+/**
+ * Propone un mapeo a partir de los encabezados del archivo importado.
+ */
+export const detectColumnMapping = (headers) => {
+  const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const prefixes = detectMonthlyPrefixes(headers);
+  return Object.fromEntries(RECORD_FIELDS.map(({ key, monthly }) => {
+    if (monthly) return [key, COLUMN_ALIASES[key].find(alias => prefixes.includes(alias)) || ''];
+    const match = COLUMN_ALIASES[key].find(alias => byNormalized.has(alias));
+    return [key, match ? byNormalized.get(match) : ''];
+  }));
+};
+
+// Parser CSV (RFC 4180) con detección de separador: coma, punto y coma o tabulador
+export const parseCSV = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.slice(0, content.indexOf('\n') === -1 ? undefined : content.indexOf('\n'));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headerRow = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const headers = headerRow.map(h => h.trim());
+  return {
+    headers,
+    rows: body.map(cells => Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? '').trim()])))
+  };
+};
+
+// Los CSV de datos abiertos suelen venir en Latin-1; se intenta UTF-8 primero
+const decodeText = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+};
+
+/**
+ * Lee un archivo CSV, XLSX o JSON y devuelve { headers, rows } con filas como objetos.
+ */
+export const parseDataFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const buffer = await file.arrayBuffer();
+
+  if (extension === 'xlsx' || extension === 'xls') {
+    // Los archivos vienen del usuario: se usa la versión de SheetJS del CDN oficial
+    // (0.20.x), la de npm (0.18) tiene vulnerabilidades sin corregir
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    return { headers: rows.length ? Object.keys(rows[0]) : [], rows };
+  }
+
+  if (extension === 'json') {
+    const parsed = JSON.parse(decodeText(buffer));
+    const rows = Array.isArray(parsed) ? parsed : (parsed.records || parsed.data || []);
+    if (!Array.isArray(rows)) throw new Error("El JSON debe contener un arreglo de registros.");
+    return { headers: [...new Set(rows.flatMap(r => Object.keys(r)))], rows };
+  }
+
+  if (extension === 'csv' || extension === 'txt') {
+    return parseCSV(decodeText(buffer));
+  }
+
+  throw new Error(`Formato no soportado: .${extension}`);
+};
+
+/**
+ * Agrupa las filas importadas por ejercicio fiscal. Si la columna de ciclo no
+ * está mapeada, todo el archivo se asigna a `defaultYear`.
+ */
+export const buildLocalDatasets = (rows, mapping, defaultYear) => {
+  // Las columnas mensuales se resuelven una sola vez para todo el archivo
+  const headers = Object.keys(rows[0] || {});
+  const resolved = { ...mapping };
+  RECORD_FIELDS.filter(f => f.monthly).forEach(({ key }) => {
+    resolved[key] = mapping[key] ? resolveMonthlyColumns(headers, mapping[key]) : null;
+  });
+
+  return rows.reduce((acc, raw, index) => {
+    const year = mapping.ciclo ? (parseInt(raw[mapping.ciclo], 10) || defaultYear) : defaultYear;
+    if (!acc[year]) acc[year] = [];
+    acc[year].push(normalizeRecord(raw, `local-${year}-${index}`, resolved));
+    return acc;
+  }, {});
+};
+
+
+// Columnas que Firestore puede ordenar; el avance y las variaciones se calculan en el cliente
+export const SERVER_SORT_FIELDS = {
+  ramo: DEFAULT_COLUMN_MAPPING.ramo,
+  ...Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, DEFAULT_COLUMN_MAPPING[key]]))
+};
+
+/**
+ * Documento de agregados precalculados para una ruta: `agregados_{año}/{id}`,
+ * con id `_total` para el ejercicio completo y los valores de la ruta unidos por `~`.
+ * Formato: { totals: { aprobado, ..., pagado }, groups: [{ name, aprobado, ..., pagado }] },
+ * donde `groups` son los subtotales del siguiente nivel de la ruta, de mayor a menor aprobado.
+ */
+export const getAggregateDocId = (path) => path.length ? path.map(encodeURIComponent).join('~') : '_total';
+
+/**
+ * Adaptador Firestore: una colección `presupuesto_{año}` por ejercicio.
+ *
+ * Además de la suscripción completa ofrece consultas para colecciones grandes:
+ * conteo, páginas filtradas por la ruta con cursor y totales agregados en el servidor.
+ * Filtrar por varios niveles y ordenar requiere los índices compuestos correspondientes.
+ */
+export const createFirestoreSource = (db, appId) => {
+  const budgetCollection = (year) => collection(db, 'artifacts', appId, 'public', 'data', getBudgetCollection(year));
+  // `levels` son las claves de nivel de cada valor de la ruta (los niveles sin datos se saltan)
+  const pathConstraints = (path, levels) => path.map((value, i) => where(DEFAULT_COLUMN_MAPPING[levels[i]], '==', value));
+
+  /**
+   * Restricciones de la ruta más los filtros del servidor (ver getServerFilters en
+   * filters.js). Una lista que excluye el valor fijado por la ruta no puede
+   * coincidir con nada: devuelve null. Combinar listas, rangos y orden requiere
+   * los índices compuestos que Firestore sugiere en el primer error.
+   */
+  const scopeConstraints = (path, levels, serverFilters) => {
+    const constraints = pathConstraints(path, levels);
+    if (!serverFilters) return constraints;
+    for (const [key, values] of Object.entries(serverFilters.lists)) {
+      const index = levels.indexOf(key);
+      if (index < 0) constraints.push(where(DEFAULT_COLUMN_MAPPING[key], 'in', values));
+      else if (!values.includes(path[index])) return null;
+    }
+    Object.entries(serverFilters.ranges).forEach(([key, { min, max }]) => {
+      if (min !== null) constraints.push(where(DEFAULT_COLUMN_MAPPING[key], '>=', min));
+      if (max !== null) constraints.push(where(DEFAULT_COLUMN_MAPPING[key], '<=', max));
+    });
+    return constraints;
+  };
+
+  return {
+    type: 'firestore',
+    // Con cambios de metadatos se recibe también el paso de caché a servidor
+    subscribe: (year, onData, onError) => onSnapshot(budgetCollection(year), { includeMetadataChanges: true },
+      (snapshot) => onData(snapshot.docs.map(d => normalizeRecord(d.data(), d.id)), { fromCache: snapshot.metadata.fromCache }),
+      onError
+    ),
+
+    count: async (year) => (await getCountFromServer(budgetCollection(year))).data().count,
+
+    /**
+     * Página de registros de la ruta y los filtros. `cursor` es el último documento
+     * de la página anterior; `hasMore` indica si vale la pena pedir la siguiente.
+     */
+    fetchPage: async (year, { path = [], levels = [], filters = null, sortKey, sortDirection = 'asc', cursor = null, pageSize = 200 }) => {
+      const constraints = scopeConstraints(path, levels, filters);
+      if (!constraints) return { records: [], cursor: null, hasMore: false };
+      if (SERVER_SORT_FIELDS[sortKey]) constraints.push(orderBy(SERVER_SORT_FIELDS[sortKey], sortDirection));
+      if (cursor) constraints.push(startAfter(cursor));
+      constraints.push(limit(pageSize));
+      const snapshot = await getDocs(query(budgetCollection(year), ...constraints));
+      return {
+        records: snapshot.docs.map(d => normalizeRecord(d.data(), d.id)),
+        cursor: snapshot.docs[snapshot.docs.length - 1] || cursor,
+        hasMore: snapshot.docs.length === pageSize
+      };
+    },
+
+    /**
+     * Totales de la ruta: primero el documento precalculado; si no existe o hay
+     * filtros del servidor (el documento no los contempla), una consulta de
+     * agregación (sum) sobre los montos numéricos.
+     */
+    fetchAggregates: async (year, path = [], levels = [], filters = null) => {
+      const filtered = !!filters && (Object.keys(filters.lists).length > 0 || Object.keys(filters.ranges).length > 0);
+      if (!filtered) {
+        const precomputed = await getDoc(doc(db, 'artifacts', appId, 'public', 'data', `agregados_${year}`, getAggregateDocId(path)));
+        if (precomputed.exists()) {
+          const { totals, groups = null } = precomputed.data();
+          return { totals, groups, source: 'precalculado' };
+        }
+      }
+      const constraints = scopeConstraints(path, levels, filters);
+      if (!constraints) return { totals: Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, 0])), groups: null, source: 'consulta' };
+      const fields = Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, sum(DEFAULT_COLUMN_MAPPING[key])]));
+      const snapshot = await getAggregateFromServer(query(budgetCollection(year), ...constraints), fields);
+      const totals = Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, snapshot.data()[key] || 0]));
+      return { totals, groups: null, source: 'consulta' };
+    }
+  };
+};
+
+/**
+ * Adaptador local: datos importados desde archivo, indexados por año.
+ */
+export const createLocalSource = (datasets) => ({
+  type: 'local',
+  years: Object.keys(datasets).map(Number),
+  subscribe: (year, onData) => {
+    onData(datasets[year] || [], { fromCache: false });
+    return () => {};
+  }
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, normalizeRecord, parseAmount } from './dataSources';
+
+describe('parseCSV', () => {
+  it('detecta el separador por la línea de encabezados', () => {
+    expect(parseCSV('A,B\n1,2').rows).toEqual([{ A: '1', B: '2' }]);
+    expect(parseCSV('A;B\n1;2').rows).toEqual([{ A: '1', B: '2' }]);
+    expect(parseCSV('A\tB\n1\t2').rows).toEqual([{ A: '1', B: '2' }]);
+  });
+
+  it('respeta comillas, comillas escapadas y separadores dentro del campo', () => {
+    const { headers, rows } = parseCSV('RAMO;NOTA\r\n"Educación; Cultura";"dijo ""sí"""\r\n');
+    expect(headers).toEqual(['RAMO', 'NOTA']);
+    expect(rows).toEqual([{ RAMO: 'Educación; Cultura', NOTA: 'dijo "sí"' }]);
+  });
+
+  it('quita el BOM, omite líneas vacías y completa celdas faltantes', () => {
+    const { headers, rows } = parseCSV('\uFEFF A , B \n\n1\n');
+    expect(headers).toEqual(['A', 'B']);
+    expect(rows).toEqual([{ A: '1', B: '' }]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('acepta montos con formato y toma lo no numérico como 0', () => {
+    expect(parseAmount('$1,234.50')).toBe(1234.5);
+    expect(parseAmount(' 1200 ')).toBe(1200);
+    expect(parseAmount('n/d')).toBe(0);
+    expect(parseAmount('')).toBe(0);
+  });
+});
+
+describe('normalizeRecord', () => {
+  it('lleva el registro crudo al modelo del visor', () => {
+    const record = normalizeRecord({
+      DESC_RAMO: 'Educación Pública',
+      DESC_UR: 'SEP',
+      DESC_PP: 'Becas',
+      MONTO_APROBADO: '$1,000',
+      MONTO_PAGADO: '250'
+    }, 'r1');
+    expect(record).toMatchObject({
+      id: 'r1',
+      ramo: 'Educación Pública',
+      ur: 'SEP',
+      programa: 'Becas',
+      capitulo: null,
+      aprobado: 1000,
+      modificado: 0,
+      pagado: 250,
+      avance: 25,
+      calendario: null,
+      pagadoMensual: null,
+      issues: []
+    });
+  });
+
+  it('marca los problemas que la normalización oculta', () => {
+    const record = normalizeRecord({ DESC_RAMO: '', MONTO_APROBADO: 'abc', MONTO_PAGADO: '-5', MONTO_MODIFICADO: '' }, 'r2');
+    expect(record.ramo).toBe('Sin clasificar');
+    expect(record.ur).toBe('N/A');
+    expect(record.issues).toEqual([
+      { type: 'invalidAmount', field: 'aprobado' },
+      { type: 'negativeAmount', field: 'pagado' },
+      { type: 'missingRamo', field: 'ramo' },
+      { type: 'missingUR', field: 'ur' }
+    ]);
+  });
+
+  it('lee las columnas mensuales por prefijo', () => {
+    const record = normalizeRecord({ DESC_RAMO: 'R', DESC_UR: 'U', MONTO_APROBADO: '10', MONTO_PAGADO: '3', PAGADO_ENE: '1', PAGADO_FEB: '2' }, 'r3');
+    expect(record.pagadoMensual).toEqual([1, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(record.calendario).toBeNull();
+  });
+});
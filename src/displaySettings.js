@@ -0,0 +1,106 @@
+import { BUDGET_STAGES } from './dataSources';
+import { INPC_YEARS, getDeflatorFactor, resolveInpcYear } from './inpc';
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+/**
+ * Preferencias de despliegue de montos: unidad (pesos, miles, millones, miles
+ * de millones) y pesos corrientes o constantes de un año base deflactados con el INPC.
+ * Se guardan en el navegador.
+ */
+
+export const UNITS = [
+  { key: 'pesos', label: 'Pesos', divisor: 1, suffix: '', digits: 2 },
+  { key: 'miles', label: 'Miles', divisor: 1e3, suffix: 'mil', digits: 1 },
+  { key: 'millones', label: 'Millones', divisor: 1e6, suffix: 'mdp', digits: 1 },
+  { key: 'milMillones', label: 'Mil millones', divisor: 1e9, suffix: 'mmdp', digits: 2 }
+];
+
+export const getUnit = (key) => UNITS.find(unit => unit.key === key) || UNITS[0];
+
+export const DEFAULT_DISPLAY_SETTINGS = {
+  unit: 'pesos',
+  constant: false,
+  baseYear: INPC_YEARS[0]
+};
+
+const STORAGE_KEY = 'presupuesto.despliegue';
+
+export const loadDisplaySettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      unit: getUnit(saved.unit).key,
+      constant: saved.constant === true,
+      baseYear: INPC_YEARS.includes(saved.baseYear) ? saved.baseYear : DEFAULT_DISPLAY_SETTINGS.baseYear
+    };
+  } catch (err) {
+    return DEFAULT_DISPLAY_SETTINGS;
+  }
+};
+
+export const saveDisplaySettings = (settings) => window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+
+/**
+ * Años de `years` que en pesos constantes se deflactan con el INPC de otro año
+ * (ver resolveInpcYear) porque aún no tienen el suyo; vacío en pesos corrientes.
+ */
+export const getEstimatedInpcYears = (settings, years) => settings.constant
+  ? [...new Set(years)].filter(year => year != null && resolveInpcYear(year) !== year).sort((a, b) => a - b)
+  : [];
+
+// Factor de los montos de `year` según las preferencias; 1 en pesos corrientes
+export const getDisplayFactor = (settings, year) => settings.constant ? getDeflatorFactor(year, settings.baseYear) : 1;
+
+const scaleMonthly = (values, factor) => values ? values.map(value => value * factor) : values;
+
+/**
+ * Registro con todos sus montos (momentos, referencia del comparativo y
+ * mensuales) multiplicados por `factor`.
+ */
+export const deflateRecord = (record, factor) => {
+  if (factor === 1) return record;
+  const scaled = { ...record };
+  BUDGET_STAGES.forEach(({ key }) => {
+    if (typeof record[key] === 'number') scaled[key] = record[key] * factor;
+  });
+  if ('calendario' in record) scaled.calendario = scaleMonthly(record.calendario, factor);
+  if ('pagadoMensual' in record) scaled.pagadoMensual = scaleMonthly(record.pagadoMensual, factor);
+  return scaled;
+};
+
+/**
+ * Monto con la unidad elegida: "$1,234.5 mdp". Los montos ya vienen
+ * deflactados; aquí solo se escala y se da formato en el idioma indicado.
+ */
+export const formatAmount = (value, settings, locale = DEFAULT_LOCALE) => {
+  const unit = getUnit(settings.unit);
+  const text = (value / unit.divisor).toLocaleString(locale, { maximumFractionDigits: unit.digits });
+  return `$${text}${unit.suffix ? ` ${translate(locale, unit.suffix)}` : ''}`;
+};
+
+// Variante corta para ejes de gráficas: en pesos se abrevia a millones
+export const formatAxisAmount = (value, settings, locale = DEFAULT_LOCALE) => {
+  if (settings.unit === 'pesos') return `$${(value / 1e6).toLocaleString(locale, { maximumFractionDigits: 0 })}M`;
+  const unit = getUnit(settings.unit);
+  return `$${(value / unit.divisor).toLocaleString(locale, { maximumFractionDigits: 0 })} ${translate(locale, unit.suffix)}`;
+};
+
+// Formato en pesos corrientes para componentes que no reciben preferencias
+export const defaultFormatMoney = (value) => formatAmount(value, DEFAULT_DISPLAY_SETTINGS);
+
+/**
+ * Leyenda de las preferencias activas, p. ej. "Millones de pesos constantes de 2024".
+ */
+export const describeDisplay = (settings, locale = DEFAULT_LOCALE, years = []) => {
+  const unit = getUnit(settings.unit);
+  const pesos = settings.constant
+    ? translate(locale, 'pesos constantes de {year}', { year: settings.baseYear })
+    : translate(locale, 'pesos corrientes');
+  const text = unit.key === 'pesos'
+    ? pesos.charAt(0).toUpperCase() + pesos.slice(1)
+    : translate(locale, '{unit} de {pesos}', { unit: translate(locale, unit.label), pesos });
+  const estimated = getEstimatedInpcYears(settings, years);
+  return estimated.length
+    ? `${text} · ${translate(locale, 'INPC estimado para {years}', { years: estimated.join(', ') })}`
+    : text;
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { INPC_YEARS, getDeflatorFactor } from './inpc';
+import { getEstimatedInpcYears, getDisplayFactor, deflateRecord, formatAmount, describeDisplay } from './displaySettings';
+
+const latest = INPC_YEARS[0];
+const constant = { unit: 'millones', constant: true, baseYear: latest };
+const current = { unit: 'pesos', constant: false, baseYear: latest };
+
+describe('getEstimatedInpcYears', () => {
+  it('lista una vez, en orden, los años sin índice propio', () => {
+    expect(getEstimatedInpcYears(constant, [latest + 2, latest, latest + 1, latest + 2, null])).toEqual([latest + 1, latest + 2]);
+  });
+
+  it('en pesos corrientes no se estima nada', () => {
+    expect(getEstimatedInpcYears(current, [latest + 1])).toEqual([]);
+  });
+});
+
+describe('getDisplayFactor', () => {
+  it('solo deflacta en pesos constantes', () => {
+    expect(getDisplayFactor(current, 2018)).toBe(1);
+    expect(getDisplayFactor(constant, 2018)).toBe(getDeflatorFactor(2018, latest));
+  });
+});
+
+describe('deflateRecord', () => {
+  it('escala los momentos contables y las series mensuales', () => {
+    const record = { id: 'a', ramo: 'Salud', aprobado: 100, pagado: 40, avance: 40, calendario: [10, 20], pagadoMensual: null };
+    expect(deflateRecord(record, 2)).toEqual({ ...record, aprobado: 200, pagado: 80, calendario: [20, 40] });
+  });
+
+  it('con factor 1 devuelve el mismo registro', () => {
+    const record = { id: 'a', aprobado: 100 };
+    expect(deflateRecord(record, 1)).toBe(record);
+  });
+});
+
+describe('formatAmount', () => {
+  it('escala a la unidad elegida y traduce su sufijo', () => {
+    expect(formatAmount(2500000, constant)).toBe('$2.5 mdp');
+    expect(formatAmount(2500000, constant, 'en-US')).toBe('$2.5 M');
+    expect(formatAmount(1234.5, current)).toBe('$1,234.5');
+  });
+});
+
+describe('describeDisplay', () => {
+  it('describe la unidad y los pesos', () => {
+    expect(describeDisplay(current)).toBe('Pesos corrientes');
+    expect(describeDisplay(constant)).toBe(`Millones de pesos constantes de ${latest}`);
+  });
+
+  it('avisa qué años usan un INPC estimado', () => {
+    expect(describeDisplay(constant, 'es-MX', [latest, latest + 1])).toBe(`Millones de pesos constantes de ${latest} · INPC estimado para ${latest + 1}`);
+    expect(describeDisplay(current, 'es-MX', [latest + 1])).toBe('Pesos corrientes');
+  });
+});
@@ -0,0 +1,124 @@
+import { BUDGET_STAGES } from './dataSources';
+import { getUnit, describeDisplay } from './displaySettings';
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+/**
+ * Exportación de la vista filtrada del Explorador.
+ *
+ * Las columnas se describen como { key, label, type } para que CSV y XLSX
+ * compartan el mismo orden y formato que la tabla en pantalla. Con preferencias
+ * de despliegue distintas de pesos corrientes, los montos se dividen entre la
+ * unidad elegida y el encabezado lo indica. Los encabezados van en el idioma
+ * de la interfaz.
+ */
+
+export const getExportColumns = ({ isComparing, compareYear, avanceBase = 'aprobado', forecast = false, display = null, locale = DEFAULT_LOCALE }) => {
+  const t = (text, params) => translate(locale, text, params);
+  const custom = display && (display.unit !== 'pesos' || display.constant);
+  const amount = (key, label) => ({
+    key,
+    label: custom ? `${label} (${describeDisplay(display, locale)})` : label,
+    type: 'amount',
+    divisor: custom ? getUnit(display.unit).divisor : 1
+  });
+  const base = t(BUDGET_STAGES.find(stage => stage.key === avanceBase)?.label || avanceBase).toLowerCase();
+  const columns = [
+    { key: 'ramo', label: t('Ramo'), type: 'text' },
+    { key: 'ur', label: t('Unidad Responsable'), type: 'text' },
+    ...BUDGET_STAGES.map(stage => amount(stage.key, t(stage.label))),
+    { key: 'avance', label: t('Avance vs {base} (%)', { base }), type: 'percent' }
+  ];
+  if (forecast) {
+    columns.push(
+      amount('proyectado', t('Pagado proyectado al cierre')),
+      { key: 'avanceProyectado', label: t('Avance proyectado vs {base} (%)', { base }), type: 'percent' },
+      amount('subejercicio', t('Subejercicio esperado'))
+    );
+  }
+  if (!isComparing) return columns;
+  return [
+    ...columns,
+    amount('refAprobado', t('Aprobado {year}', { year: compareYear })),
+    amount('deltaAprobado', t('Δ Aprobado vs {year}', { year: compareYear })),
+    { key: 'pctAprobado', label: t('Δ% Aprobado vs {year}', { year: compareYear }), type: 'percent' },
+    amount('refPagado', t('Pagado {year}', { year: compareYear })),
+    amount('deltaPagado', t('Δ Pagado vs {year}', { year: compareYear })),
+    { key: 'pctPagado', label: t('Δ% Pagado vs {year}', { year: compareYear }), type: 'percent' },
+    { key: 'refAvance', label: t('Avance {year} (%)', { year: compareYear }), type: 'percent' }
+  ];
+};
+
+// Nombre de archivo seguro a partir del título dinámico
+export const buildExportFileName = (title, year, extension) => {
+  const slug = String(title)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, 60);
+  return `presupuesto_${year}_${slug || 'explorador'}.${extension}`;
+};
+
+const cellValue = (row, column) => {
+  const value = row[column.key];
+  if (value === null || value === undefined) return '';
+  if (column.type === 'percent') return Number(value.toFixed(2));
+  if (column.type === 'amount') return value / column.divisor;
+  return value;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox y Safari cancelan la descarga si la URL se revoca en el mismo ciclo del clic
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * CSV con BOM UTF-8 para que Excel respete acentos.
+ */
+export const exportToCSV = (rows, columns, fileName) => {
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map(c => escape(c.label)).join(','),
+    ...rows.map(row => columns.map(c => escape(cellValue(row, c))).join(','))
+  ];
+  downloadBlob(new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+/**
+ * XLSX con fila de totales; `totals` usa las mismas claves que las columnas.
+ */
+export const exportToXLSX = async (rows, columns, totals, fileName) => {
+  const XLSX = await import('xlsx');
+  const aoa = [
+    columns.map(c => c.label),
+    ...rows.map(row => columns.map(c => cellValue(row, c))),
+    columns.map((c, i) => i === 0 ? 'TOTAL' : cellValue(totals, c))
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(aoa);
+
+  // Formato numérico por tipo de columna
+  columns.forEach((column, colIndex) => {
+    if (column.type === 'text') return;
+    const format = column.type === 'amount' ? '#,##0.00' : '0.0';
+    for (let rowIndex = 1; rowIndex < aoa.length; rowIndex++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: colIndex })];
+      if (cell && cell.t === 'n') cell.z = format;
+    }
+  });
+  sheet['!cols'] = columns.map(c => ({ wch: c.type === 'text' ? 40 : 18 }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Explorador');
+  XLSX.writeFile(workbook, fileName);
+};
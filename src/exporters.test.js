@@ -0,0 +1,51 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { exportToCSV, buildExportFileName } from './exporters';
+
+describe('exportToCSV', () => {
+  let link;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    link = { click: vi.fn(), remove: vi.fn() };
+    vi.stubGlobal('document', { createElement: () => link, body: { appendChild: vi.fn() } });
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:exportacion');
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const columns = [
+    { key: 'ramo', label: 'Ramo', type: 'text' },
+    { key: 'aprobado', label: 'Aprobado, mdp', type: 'amount', divisor: 1e6 },
+    { key: 'avance', label: 'Avance', type: 'percent' }
+  ];
+
+  it('descarga un CSV con BOM, campos escapados y montos en la unidad de la columna', async () => {
+    exportToCSV([{ ramo: 'Educación "básica"', aprobado: 2500000, avance: 12.3456 }], columns, 'vista.csv');
+    expect(link.download).toBe('vista.csv');
+    expect(link.click).toHaveBeenCalledOnce();
+
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    expect([...bytes.slice(0, 3)]).toEqual([0xef, 0xbb, 0xbf]);
+    expect(new TextDecoder().decode(bytes.slice(3))).toBe('Ramo,"Aprobado, mdp",Avance\r\n"Educación ""básica""",2.5,12.35');
+  });
+
+  it('revoca la URL después de que el navegador atiende el clic', () => {
+    exportToCSV([], columns, 'vista.csv');
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:exportacion');
+  });
+});
+
+describe('buildExportFileName', () => {
+  it('usa el título de la vista sin acentos ni espacios', () => {
+    expect(buildExportFileName('Educación Pública · SEP', 2024, 'csv')).toBe('presupuesto_2024_educacion_publica_sep.csv');
+    expect(buildExportFileName('', 2024, 'xlsx')).toBe('presupuesto_2024_explorador.xlsx');
+  });
+});
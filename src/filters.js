@@ -0,0 +1,146 @@
+import { createFirestoreUserStore, createLocalUserStore } from './userCollections';
+import { HIERARCHY } from './hierarchy';
+
+/**
+ * Filtros avanzados del Explorador: texto libre, selección múltiple de
+ * ramos/URs y rangos numéricos. Se combinan con la ruta de exploración.
+ */
+
+export const RANGE_FIELDS = [
+  { key: 'aprobado', label: 'Aprobado', unit: '$' },
+  { key: 'pagado', label: 'Pagado', unit: '$' },
+  { key: 'avance', label: 'Avance', unit: '%' }
+];
+
+export const EMPTY_FILTERS = {
+  query: '',
+  ramos: [],
+  urs: [],
+  ranges: {},
+  // Solo filas con comentarios; se aplica en la vista, que conoce los hilos
+  annotated: false
+};
+
+// Minúsculas y sin acentos: "Educación" coincide con "educacion"
+export const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+const SEARCH_KEYS = HIERARCHY.map(level => level.key);
+
+/**
+ * Filtros que se aplican a los registros antes de agregarlos (texto y listas).
+ */
+export const matchesRecordFilters = (record, filters) => {
+  if (filters.ramos.length && !filters.ramos.includes(record.ramo)) return false;
+  if (filters.urs.length && !filters.urs.includes(record.ur)) return false;
+  const query = normalizeText(filters.query);
+  if (!query) return true;
+  const haystack = normalizeText(SEARCH_KEYS.map(key => record[key]).filter(Boolean).join(' '));
+  return query.split(/\s+/).every(term => haystack.includes(term));
+};
+
+/**
+ * Rangos numéricos sobre las filas ya calculadas (el avance depende de la base).
+ */
+export const matchesRanges = (row, ranges) => RANGE_FIELDS.every(({ key }) => {
+  const range = ranges[key];
+  if (!range) return true;
+  if (range.min !== null && range.min !== undefined && row[key] < range.min) return false;
+  if (range.max !== null && range.max !== undefined && row[key] > range.max) return false;
+  return true;
+});
+
+export const hasRange = (range) => !!range && (range.min != null || range.max != null);
+
+// Firestore admite hasta 30 disyunciones por consulta (producto de las listas `in`)
+const MAX_SERVER_DISJUNCTIONS = 30;
+// Montos que se pueden filtrar en el servidor; el avance depende de la base elegida
+const SERVER_RANGE_KEYS = ['aprobado', 'pagado'];
+
+/**
+ * Parte de los filtros que resuelve Firestore en modo servidor: listas de
+ * ramos/URs y rangos de montos, estos convertidos a pesos nominales con
+ * `factor` (los filtros se capturan en los montos que muestra la vista).
+ * `partial` indica que algún filtro solo se aplica a los registros cargados.
+ */
+export const getServerFilters = (filters, factor = 1) => {
+  const lists = {};
+  let disjunctions = 1;
+  let partial = !!normalizeText(filters.query) || hasRange(filters.ranges.avance);
+  [['ramo', filters.ramos], ['ur', filters.urs]].forEach(([key, values]) => {
+    if (!values.length) return;
+    if (disjunctions * values.length > MAX_SERVER_DISJUNCTIONS) {
+      partial = true;
+      return;
+    }
+    disjunctions *= values.length;
+    lists[key] = values;
+  });
+  const ranges = {};
+  SERVER_RANGE_KEYS.forEach(key => {
+    const range = filters.ranges[key];
+    if (!hasRange(range)) return;
+    ranges[key] = { min: range.min == null ? null : range.min / factor, max: range.max == null ? null : range.max / factor };
+  });
+  return { lists, ranges, partial };
+};
+
+export const countActiveFilters = (filters) =>
+  (normalizeText(filters.query) ? 1 : 0)
+  + (filters.ramos.length ? 1 : 0)
+  + (filters.urs.length ? 1 : 0)
+  + (filters.annotated ? 1 : 0)
+  + RANGE_FIELDS.filter(({ key }) => hasRange(filters.ranges[key])).length;
+
+// Parámetros de URL: q, fr (ramos), fu (URs) repetibles, min_/max_ por campo y anotadas
+const parseBound = (value) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+export const parseFilterParams = (params) => {
+  const ranges = {};
+  RANGE_FIELDS.forEach(({ key }) => {
+    const range = { min: parseBound(params.get(`min_${key}`)), max: parseBound(params.get(`max_${key}`)) };
+    if (hasRange(range)) ranges[key] = range;
+  });
+  return {
+    query: params.get('q') || '',
+    ramos: params.getAll('fr'),
+    urs: params.getAll('fu'),
+    ranges,
+    annotated: params.get('anotadas') === '1'
+  };
+};
+
+export const appendFilterParams = (params, filters) => {
+  if (!filters) return;
+  if (filters.query.trim()) params.set('q', filters.query.trim());
+  filters.ramos.forEach(ramo => params.append('fr', ramo));
+  filters.urs.forEach(ur => params.append('fu', ur));
+  if (filters.annotated) params.set('anotadas', '1');
+  RANGE_FIELDS.forEach(({ key }) => {
+    const range = filters.ranges[key];
+    if (range?.min != null) params.set(`min_${key}`, range.min);
+    if (range?.max != null) params.set(`max_${key}`, range.max);
+  });
+};
+
+// Los guardados antes de agregar un filtro nuevo lo reciben vacío
+const normalizePreset = (preset) => ({ ...preset, filters: { ...EMPTY_FILTERS, ...preset.filters } });
+
+/**
+ * Filtros guardados con nombre. Cada usuario tiene los suyos en
+ * `artifacts/{appId}/users/{uid}/filtros_guardados/{presetId}`; sin proyecto de
+ * Firebase se guardan en el navegador.
+ */
+
+export const createFirestorePresetStore = (db, appId, uid) =>
+  createFirestoreUserStore(db, appId, uid, 'filtros_guardados', normalizePreset);
+
+export const createLocalPresetStore = (storageKey = 'presupuesto_filtros_guardados') =>
+  createLocalUserStore(storageKey, normalizePreset);
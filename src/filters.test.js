@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { EMPTY_FILTERS, getServerFilters } from './filters';
+
+const names = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+describe('getServerFilters', () => {
+  it('sin filtros no envía nada ni marca resultados parciales', () => {
+    expect(getServerFilters(EMPTY_FILTERS)).toEqual({ lists: {}, ranges: {}, partial: false });
+  });
+
+  it('envía ramos y URs mientras el producto no pase de 30 disyunciones', () => {
+    const filters = { ...EMPTY_FILTERS, ramos: names('r', 3), urs: names('u', 10) };
+    expect(getServerFilters(filters)).toEqual({ lists: { ramo: filters.ramos, ur: filters.urs }, ranges: {}, partial: false });
+  });
+
+  it('deja en la vista la lista que rebasa el límite y marca el resultado como parcial', () => {
+    const filters = { ...EMPTY_FILTERS, ramos: names('r', 3), urs: names('u', 11) };
+    expect(getServerFilters(filters)).toEqual({ lists: { ramo: filters.ramos }, ranges: {}, partial: true });
+
+    const tooManyRamos = { ...EMPTY_FILTERS, ramos: names('r', 31), urs: names('u', 5) };
+    expect(getServerFilters(tooManyRamos)).toEqual({ lists: { ur: tooManyRamos.urs }, ranges: {}, partial: true });
+  });
+
+  it('convierte los rangos de montos a pesos nominales con el factor de la vista', () => {
+    const filters = { ...EMPTY_FILTERS, ranges: { aprobado: { min: 200, max: null }, pagado: { min: null, max: 50 } } };
+    expect(getServerFilters(filters, 2)).toEqual({
+      lists: {},
+      ranges: { aprobado: { min: 100, max: null }, pagado: { min: null, max: 25 } },
+      partial: false
+    });
+  });
+
+  it('la búsqueda y el avance solo se aplican a las páginas cargadas', () => {
+    expect(getServerFilters({ ...EMPTY_FILTERS, query: 'becas' }).partial).toBe(true);
+    const byAvance = getServerFilters({ ...EMPTY_FILTERS, ranges: { avance: { min: 10, max: null } } });
+    expect(byAvance).toEqual({ lists: {}, ranges: {}, partial: true });
+  });
+});
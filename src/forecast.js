@@ -0,0 +1,103 @@
+import { MONTHS, computeAvance } from './dataSources';
+import { getLevelValue } from './hierarchy';
+import { accumulate, sumMonthly } from './timeSeries';
+
+/**
+ * Proyección del pagado al cierre del ejercicio a partir del ritmo de ejecución
+ * al mes de referencia. Lineal: el promedio mensual pagado se mantiene hasta
+ * diciembre. Estacional: el pagado sigue la forma del calendario aprobado de
+ * la fila o, si no tiene, la del calendario de todo el ejercicio.
+ */
+
+export const FORECAST_METHODS = [
+  { key: 'linear', label: 'Lineal', description: 'El promedio mensual pagado se mantiene hasta diciembre' },
+  { key: 'seasonal', label: 'Perfil estacional', description: 'Los meses restantes siguen la forma del calendario aprobado' }
+];
+
+// Escenario: ritmo (%) de los meses restantes para un ramo; 100 es el ritmo actual
+export const DEFAULT_FORECAST = {
+  method: 'seasonal',
+  scenario: { ramo: null, pace: 100 }
+};
+
+/**
+ * Fracción del calendario anual acumulada al cierre de cada mes; null sin calendario.
+ */
+export const buildSeasonalProfile = (calendario) => {
+  if (!calendario) return null;
+  const cumulative = accumulate(calendario);
+  const total = cumulative[cumulative.length - 1];
+  return total > 0 ? cumulative.map(value => value / total) : null;
+};
+
+export const buildDatasetProfile = (records) => buildSeasonalProfile(sumMonthly(records, 'calendario'));
+
+/**
+ * Pagado proyectado al cierre. `month` es el último mes transcurrido (0-11) y
+ * `pace` escala lo que falta por pagar; con el año cerrado es el pagado real.
+ */
+export const projectYearEnd = (row, { method, month, profile = null, pace = 100 }) => {
+  const pagado = row.pagado || 0;
+  if (month >= MONTHS.length - 1) return pagado;
+  const seasonal = method === 'seasonal' ? buildSeasonalProfile(row.calendario) || profile : null;
+  const share = seasonal && seasonal[month] > 0 ? seasonal[month] : (month + 1) / MONTHS.length;
+  return pagado + (pagado / share - pagado) * (pace / 100);
+};
+
+/**
+ * Avance proyectado contra la base y subejercicio esperado (lo que de la base
+ * quedaría sin pagar) para un pagado proyectado.
+ */
+export const buildForecastFields = (amounts, proyectado, avanceBase = 'aprobado') => {
+  const base = avanceBase === 'modificado' && amounts.modificado > 0 ? amounts.modificado : amounts.aprobado;
+  return {
+    proyectado,
+    avanceProyectado: computeAvance({ ...amounts, pagado: proyectado }, avanceBase),
+    subejercicio: Math.max(base - proyectado, 0)
+  };
+};
+
+// El escenario solo cambia el ritmo de las filas del ramo elegido
+const paceFor = (row, scenario) => scenario.ramo && row.ramo === scenario.ramo ? scenario.pace : 100;
+
+/**
+ * Pagado proyectado de un agregado del modo servidor. `scenarioTotals` son los
+ * montos del ramo del escenario contenidos en el agregado (null si no incluye
+ * ese ramo): esa parte se proyecta con el ritmo del escenario y el resto con el
+ * actual. Sin calendario propio la proyección es lineal en el pagado, así que
+ * se puede separar por partes.
+ */
+export const projectAggregate = (totals, options, scenarioTotals = null) => {
+  const projected = projectYearEnd(totals, options);
+  if (!scenarioTotals || !options.scenario.ramo) return projected;
+  return projected
+    + projectYearEnd(scenarioTotals, { ...options, pace: options.scenario.pace })
+    - projectYearEnd(scenarioTotals, options);
+};
+
+/**
+ * Filas con `proyectado`, `avanceProyectado` y `subejercicio`. `options` es
+ * { method, month, profile, scenario }.
+ */
+export const withForecast = (rows, options, avanceBase) => rows.map(row => ({
+  ...row,
+  ...buildForecastFields(row, projectYearEnd(row, { ...options, pace: paceFor(row, options.scenario) }), avanceBase)
+}));
+
+/**
+ * Totales proyectados por grupo del nivel indicado, ordenados por aprobado.
+ */
+export const groupForecast = (rows, levelKey, avanceBase) => {
+  const groups = rows.reduce((acc, row) => {
+    const name = getLevelValue(row, levelKey);
+    const group = acc[name] || (acc[name] = { name, aprobado: 0, modificado: 0, pagado: 0, proyectado: 0 });
+    group.aprobado += row.aprobado;
+    group.modificado += row.modificado;
+    group.pagado += row.pagado;
+    group.proyectado += row.proyectado;
+    return acc;
+  }, {});
+  return Object.values(groups)
+    .map(group => ({ ...group, ...buildForecastFields(group, group.proyectado, avanceBase) }))
+    .sort((a, b) => b.aprobado - a.aprobado);
+};
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { projectYearEnd, projectAggregate, withForecast, buildForecastFields } from './forecast';
+
+// Calendario con la mitad del año pagada al cierre de febrero
+const FRONT_LOADED = [300, 300, 0, 0, 0, 0, 0, 0, 0, 0, 0, 600];
+
+describe('projectYearEnd', () => {
+  it('lineal: el promedio mensual se mantiene hasta diciembre', () => {
+    expect(projectYearEnd({ pagado: 300 }, { method: 'linear', month: 2 })).toBe(1200);
+  });
+
+  it('estacional: sigue el calendario de la fila o el del ejercicio', () => {
+    expect(projectYearEnd({ pagado: 400, calendario: FRONT_LOADED }, { method: 'seasonal', month: 1 })).toBe(800);
+    const profile = [0.25, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 0.5, 1];
+    expect(projectYearEnd({ pagado: 400, calendario: null }, { method: 'seasonal', month: 1, profile })).toBe(800);
+  });
+
+  it('sin calendario acumulado al mes se proyecta de forma lineal', () => {
+    const calendario = [0, 0, 0, 0, 0, 0, 600, 0, 0, 0, 0, 600];
+    expect(projectYearEnd({ pagado: 300, calendario }, { method: 'seasonal', month: 2 })).toBe(1200);
+  });
+
+  it('el ritmo escala solo lo que falta por pagar', () => {
+    expect(projectYearEnd({ pagado: 300 }, { method: 'linear', month: 2, pace: 50 })).toBe(750);
+  });
+
+  it('con el año cerrado es el pagado real', () => {
+    expect(projectYearEnd({ pagado: 300 }, { method: 'linear', month: 11, pace: 50 })).toBe(300);
+  });
+});
+
+describe('projectAggregate', () => {
+  const options = { method: 'linear', month: 2, scenario: { ramo: 'Salud', pace: 50 } };
+
+  it('proyecta con el ritmo del escenario solo la parte del ramo elegido', () => {
+    // 1200 del agregado, menos 400 del ramo al ritmo actual, más 250 al 50 %
+    expect(projectAggregate({ pagado: 300 }, options, { pagado: 100 })).toBe(1050);
+  });
+
+  it('sin el ramo del escenario en el agregado usa el ritmo actual', () => {
+    expect(projectAggregate({ pagado: 300 }, options)).toBe(1200);
+    expect(projectAggregate({ pagado: 300 }, { ...options, scenario: { ramo: null, pace: 50 } }, { pagado: 100 })).toBe(1200);
+  });
+
+  it('coincide con la proyección fila por fila', () => {
+    const rows = [
+      { id: 'a', ramo: 'Salud', aprobado: 500, modificado: 0, pagado: 100 },
+      { id: 'b', ramo: 'Energía', aprobado: 1000, modificado: 0, pagado: 200 }
+    ];
+    const total = withForecast(rows, options, 'aprobado').reduce((acc, row) => acc + row.proyectado, 0);
+    expect(projectAggregate({ pagado: 300 }, options, { pagado: 100 })).toBe(total);
+  });
+});
+
+describe('withForecast', () => {
+  it('aplica el ritmo del escenario a las filas del ramo elegido', () => {
+    const rows = [
+      { id: 'a', ramo: 'Salud', aprobado: 1000, modificado: 0, pagado: 100 },
+      { id: 'b', ramo: 'Energía', aprobado: 1000, modificado: 0, pagado: 100 }
+    ];
+    const [salud, energia] = withForecast(rows, { method: 'linear', month: 2, scenario: { ramo: 'Salud', pace: 0 } }, 'aprobado');
+    expect(salud.proyectado).toBe(100);
+    expect(energia.proyectado).toBe(400);
+    expect(energia.avanceProyectado).toBe(40);
+    expect(energia.subejercicio).toBe(600);
+  });
+});
+
+describe('buildForecastFields', () => {
+  it('mide el avance y el subejercicio contra el modificado cuando es la base', () => {
+    expect(buildForecastFields({ aprobado: 1000, modificado: 800 }, 1000, 'modificado')).toEqual({
+      proyectado: 1000,
+      avanceProyectado: 125,
+      subejercicio: 0
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { BUDGET_STAGES, computeAvance } from './dataSources';
+
+/**
+ * Jerarquía de clasificación del gasto. La ruta de exploración (`path`) es un
+ * arreglo con el valor elegido en cada nivel: ['Salud', 'IMSS', 'E001', ...],
+ * y `levels` las claves de esos niveles: ['ramo', 'ur', 'programa', ...]. Los
+ * niveles sin datos se saltan, así que la posición en la ruta no basta para
+ * saber el nivel.
+ */
+export const HIERARCHY = [
+  { key: 'ramo', label: 'Ramo' },
+  { key: 'ur', label: 'Unidad Responsable' },
+  { key: 'programa', label: 'Programa presupuestario' },
+  { key: 'capitulo', label: 'Capítulo de gasto' },
+  { key: 'concepto', label: 'Concepto de gasto' },
+  { key: 'partida', label: 'Partida de gasto' }
+];
+
+export const UNCLASSIFIED = "Sin clasificar";
+
+export const getLevelValue = (record, key) => record[key] || UNCLASSIFIED;
+
+// Claves por omisión: los primeros niveles de la jerarquía (Ramo y UR siempre existen)
+const defaultLevels = (path) => HIERARCHY.slice(0, path.length).map(level => level.key);
+
+export const matchesPath = (record, path, levels = defaultLevels(path)) =>
+  path.every((value, i) => getLevelValue(record, levels[i]) === value);
+
+/**
+ * Niveles con información en los datos; Ramo y UR siempre están disponibles.
+ */
+export const getAvailableLevels = (records) =>
+  HIERARCHY.filter((level, i) => i < 2 || records.some(r => r[level.key]));
+
+/**
+ * Longitud del prefijo más largo de la ruta cuyos valores existen en los registros.
+ */
+export const validatePath = (records, path, levels = defaultLevels(path)) => {
+  let scope = records;
+  for (let i = 0; i < path.length; i++) {
+    const next = levels[i] ? scope.filter(r => getLevelValue(r, levels[i]) === path[i]) : [];
+    if (next.length === 0) return i;
+    scope = next;
+  }
+  return path.length;
+};
+
+export const getLevelLabel = (key) => (HIERARCHY.find(level => level.key === key) || HIERARCHY[0]).label;
+
+const emptyAmounts = () => Object.fromEntries(BUDGET_STAGES.map(({ key }) => [key, 0]));
+
+/**
+ * Agrupa por un nivel sumando los momentos contables (y los de referencia, si existen).
+ */
+export const groupByLevel = (records, key) => {
+  const groups = records.reduce((acc, curr) => {
+    const name = getLevelValue(curr, key);
+    if (!acc[name]) acc[name] = { name, ...emptyAmounts(), refAprobado: 0, refPagado: 0 };
+    BUDGET_STAGES.forEach(stage => { acc[name][stage.key] += curr[stage.key]; });
+    acc[name].refAprobado += curr.refAprobado || 0;
+    acc[name].refPagado += curr.refPagado || 0;
+    return acc;
+  }, {});
+  return Object.values(groups).sort((a, b) => b.aprobado - a.aprobado);
+};
+
+/**
+ * Árbol para el treemap: cada nodo lleva su ruta completa con las claves de sus
+ * niveles (`pathLevels`), tamaño (aprobado) y avance.
+ */
+export const buildTree = (records, levels, basePath = [], avanceBase = 'aprobado', baseLevels = []) => {
+  if (levels.length === 0) return [];
+  const [level, ...rest] = levels;
+  const partitions = records.reduce((acc, r) => {
+    const name = getLevelValue(r, level.key);
+    if (!acc[name]) acc[name] = [];
+    acc[name].push(r);
+    return acc;
+  }, {});
+  return groupByLevel(records, level.key).map(group => {
+    const path = [...basePath, group.name];
+    const pathLevels = [...baseLevels, level.key];
+    const children = buildTree(partitions[group.name], rest, path, avanceBase, pathLevels);
+    return {
+      name: group.name,
+      path,
+      pathLevels,
+      level: level.key,
+      size: group.aprobado,
+      avance: computeAvance(group, avanceBase),
+      ...(children.length ? { children } : {})
+    };
+  }).filter(node => node.size > 0);
+};
@@ -0,0 +1,62 @@
+import { createContext, useContext } from 'react';
+import enUS from './locales/en-US';
+
+/**
+ * Traducción de la interfaz. Los textos se escriben en español (es-MX) y sirven
+ * de llave: el catálogo es-MX es la identidad y cada otro idioma mapea el texto
+ * en español a su traducción. Los textos admiten parámetros "{nombre}".
+ */
+
+export const LOCALES = [
+  { key: 'es-MX', label: 'Español', short: 'ES' },
+  { key: 'en-US', label: 'English', short: 'EN' }
+];
+
+export const DEFAULT_LOCALE = 'es-MX';
+
+const CATALOGS = {
+  'es-MX': {},
+  'en-US': enUS
+};
+
+export const isLocale = (key) => LOCALES.some(locale => locale.key === key);
+
+const interpolate = (text, params) => params
+  ? text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match)
+  : text;
+
+export const translate = (locale, text, params) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  return interpolate(catalog[text] ?? text, params);
+};
+
+/**
+ * Funciones del idioma activo: `t` traduce y los `format*` dan formato a
+ * números y fechas con las convenciones del idioma.
+ */
+export const createI18n = (locale) => ({
+  locale,
+  t: (text, params) => translate(locale, text, params),
+  formatNumber: (value, options) => value.toLocaleString(locale, options),
+  formatDate: (value) => new Date(value).toLocaleString(locale)
+});
+
+export const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+export const useI18n = () => useContext(I18nContext);
+
+const STORAGE_KEY = 'presupuesto.idioma';
+
+// Idioma guardado en el navegador; la primera vez se toma el del sistema
+export const loadLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch (err) {
+    // Sin acceso a localStorage se usa el idioma del navegador
+  }
+  const browser = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  return LOCALES.find(locale => locale.key.split('-')[0] === browser.split('-')[0])?.key || DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => window.localStorage.setItem(STORAGE_KEY, locale);
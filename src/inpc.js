@@ -0,0 +1,52 @@
+/**
+ * Índice Nacional de Precios al Consumidor (INEGI), promedio anual,
+ * base segunda quincena de julio 2018 = 100.
+ *
+ * Para actualizar basta con agregar el promedio del año cerrado a la tabla, o
+ * sobrescribirla sin recompilar con `__inpc` o VITE_INPC (JSON { "2025": 139.5 }).
+ * Los años sin dato usan el índice más reciente disponible.
+ */
+const BUNDLED_INPC = {
+  2014: 85.335,
+  2015: 87.656,
+  2016: 90.128,
+  2017: 95.572,
+  2018: 100.255,
+  2019: 103.904,
+  2020: 107.437,
+  2021: 113.550,
+  2022: 122.520,
+  2023: 129.320,
+  2024: 135.424
+};
+
+const readOverrides = () => {
+  let raw = null;
+  if (typeof __inpc !== 'undefined' && __inpc) {
+    raw = __inpc;
+  } else if (typeof import.meta !== 'undefined' && import.meta.env?.VITE_INPC) {
+    raw = import.meta.env.VITE_INPC;
+  }
+  if (!raw) return {};
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Object.fromEntries(Object.entries(parsed)
+      .map(([year, value]) => [parseInt(year, 10), Number(value)])
+      .filter(([year, value]) => Number.isInteger(year) && value > 0));
+  } catch (err) {
+    console.error("VITE_INPC no es un JSON válido:", err.message);
+    return {};
+  }
+};
+
+export const INPC = { ...BUNDLED_INPC, ...readOverrides() };
+
+export const INPC_YEARS = Object.keys(INPC).map(Number).sort((a, b) => b - a);
+
+// Año cuyo índice se usa para `year`: el mismo si existe, si no el más cercano anterior o el más reciente
+export const resolveInpcYear = (year) => INPC[year] ? year : (INPC_YEARS.find(y => y < year) ?? INPC_YEARS[INPC_YEARS.length - 1]);
+
+/**
+ * Factor para expresar pesos corrientes de `year` en pesos constantes de `baseYear`.
+ */
+export const getDeflatorFactor = (year, baseYear) => INPC[resolveInpcYear(baseYear)] / INPC[resolveInpcYear(year)];
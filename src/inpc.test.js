@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { INPC, INPC_YEARS, resolveInpcYear, getDeflatorFactor } from './inpc';
+
+const latest = INPC_YEARS[0];
+const oldest = INPC_YEARS[INPC_YEARS.length - 1];
+
+describe('resolveInpcYear', () => {
+  it('usa el índice del mismo año cuando existe', () => {
+    expect(resolveInpcYear(2020)).toBe(2020);
+  });
+
+  it('sin dato usa el año anterior más cercano o, antes de la tabla, el más antiguo', () => {
+    expect(resolveInpcYear(latest + 2)).toBe(latest);
+    expect(resolveInpcYear(oldest - 5)).toBe(oldest);
+  });
+});
+
+describe('getDeflatorFactor', () => {
+  it('lleva pesos corrientes de un año a pesos constantes del año base', () => {
+    expect(getDeflatorFactor(2024, 2024)).toBe(1);
+    expect(getDeflatorFactor(2018, 2024)).toBeCloseTo(INPC[2024] / INPC[2018]);
+    expect(getDeflatorFactor(2024, 2018)).toBeLessThan(1);
+  });
+
+  it('los años sin índice se deflactan con el del año resuelto', () => {
+    expect(getDeflatorFactor(latest + 1, latest)).toBe(1);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Catálogo en inglés (en-US). Llave: el texto en español tal como aparece en
+ * el código; los parámetros "{nombre}" se conservan en la traducción.
+ */
+export default {
+  // Navegación y encabezado
+  'EJERCICIO DEL GASTO': 'BUDGET EXECUTION',
+  'Presupuesto público': 'Public budget',
+  'Ejercicio del Gasto · Presupuesto público': 'Budget Execution · Public budget',
+  'Archivos locales': 'Local files',
+  'IMPORTAR': 'IMPORT',
+  'ALERTAS': 'ALERTS',
+  'CAMBIOS': 'CHANGES',
+  'DATOS EN CACHÉ': 'CACHED DATA',
+  'SIN CONEXIÓN': 'OFFLINE',
+  'Se muestran los datos guardados en este navegador mientras se sincronizan con Firestore': 'Showing the data saved in this browser while it syncs with Firestore',
+  'Sin conexión con Firestore: se muestran los datos guardados en este navegador': 'No connection to Firestore: showing the data saved in this browser',
+  'Ejercicio fiscal': 'Fiscal year',
+  'Año de comparación': 'Comparison year',
+  'SIN COMPARAR': 'NO COMPARISON',
+  'La comparación no está disponible en colecciones grandes': 'Comparison is not available for large collections',
+  'DASHBOARD': 'DASHBOARD',
+  'TENDENCIA': 'TREND',
+  'MAPA': 'MAP',
+  'EXPLORADOR': 'EXPLORER',
+  'CALIDAD': 'QUALITY',
+  'Idioma': 'Language',
+  'Perfil': 'Profile',
+  'Invitado': 'Guest',
+  'Iniciar sesión': 'Sign in',
+  'Cerrar sesión': 'Sign out',
+  'Usuarios y roles': 'Users and roles',
+
+  // Estados generales
+  'Sincronizando visor...': 'Syncing viewer...',
+  'Error de Configuración': 'Configuration Error',
+  'Error de acceso': 'Access error',
+  'Error de acceso ({year})': 'Access error ({year})',
+  'No se pudo exportar: {message}': 'Could not export: {message}',
+  'Tu cuenta no tiene acceso a estos datos. Inicia sesión con una cuenta autorizada.': 'Your account cannot access this data. Sign in with an authorized account.',
+  'Ejecución Presupuestal {year}': 'Budget Execution {year}',
+  'Cerrar': 'Close',
+  'CERRAR': 'CLOSE',
+  'CANCELAR': 'CANCEL',
+  'GUARDAR': 'SAVE',
+  'TOTAL': 'TOTAL',
+  'o': 'or',
+  ' y ': ' and ',
+
+  // Filtros y controles de la vista
+  'Filtrar por Ramo': 'Filter by Branch',
+  'Todos los Ramos': 'All Branches',
+  'Filtrar por Institución': 'Filter by Institution',
+  'Todas las Instituciones (UR)': 'All Institutions (RU)',
+  'Avance contra': 'Progress against',
+  'Búsqueda': 'Search',
+  'Filtros': 'Filters',
+  'Montos': 'Amounts',
+  'Exportar vista': 'Export view',
+  'Exportar': 'Export',
+  'Excel con totales': 'Excel with totals',
+  'Reporte PDF': 'PDF report',
+  'Buscar por nombre': 'Search by name',
+  'Ramo, UR, programa...': 'Branch, RU, program...',
+  'Ramos': 'Branches',
+  'Instituciones (UR)': 'Institutions (RU)',
+  'Todas las UR': 'All RUs',
+  'Mín.': 'Min.',
+  'Máx.': 'Max.',
+  'Solo con comentarios': 'Only with comments',
+  'Eliminar {name}': 'Delete {name}',
+  'Nombre del filtro': 'Filter name',
+  'GUARDAR FILTRO': 'SAVE FILTER',
+  'LIMPIAR': 'CLEAR',
+  '{count} seleccionados': '{count} selected',
+  'Quitar selección': 'Clear selection',
+  'Buscar...': 'Search...',
+  'Sin coincidencias': 'No matches',
+
+  // Tarjetas y gráficas
+  'Monto Aprobado': 'Approved Amount',
+  'Monto Pagado': 'Paid Amount',
+  'Monto': 'Amount',
+  'Avance': 'Progress',
+  'Avance (Mod.)': 'Progress (Mod.)',
+  'Avance vs {base}': 'Progress vs {base}',
+  'Avance vs calendario a {month}': 'Progress vs schedule through {month}',
+  'Avance vs calendario:': 'Progress vs schedule:',
+  'ANUAL': 'ANNUAL',
+  'CAL.': 'SCHED.',
+  'Gasto por {level} (Top)': 'Spending by {level} (Top)',
+  'Distribución de Pagos por {level}': 'Payment Distribution by {level}',
+  'Momentos Contables por {level}': 'Accounting Stages by {level}',
+  'Todos ({level}) de la vista': 'All ({level}) in view',
+  'Aprobado {year}': 'Approved {year}',
+  'Pagado {year}': 'Paid {year}',
+  'Calendarizado': 'Scheduled',
+  'Calendarizado vs Pagado (Acumulado)': 'Scheduled vs Paid (Cumulative)',
+  'Sin series mensuales': 'No monthly series',
+  'Los registros no incluyen calendario ni pagos mensuales (p. ej.': 'The records include no monthly schedule or payments (e.g.',
+  'Sin niveles por explorar': 'No levels to explore',
+  'Esta selección ya está en el nivel más detallado disponible.': 'This selection is already at the most detailed level available.',
+  'Mapa por {levels} · tamaño por aprobado, color por avance vs {base}': 'Map by {levels} · size by approved, color by progress vs {base}',
+  'Generado el {date}': 'Generated on {date}',
+
+  // Datos vacíos e importación
+  'Base de datos vacía': 'Empty database',
+  'Sincroniza registros en la colección': 'Sync records into the collection',
+  'Importa el CSV, XLSX o JSON de datos abiertos del ejercicio {year} para explorarlo sin conexión.': 'Import the open data CSV, XLSX or JSON for fiscal year {year} to explore it offline.',
+  'IMPORTAR ARCHIVO': 'IMPORT FILE',
+  'La importación requiere rol de analista': 'Importing requires the analyst role',
+  'Importar datos abiertos': 'Import open data',
+  'El archivo no contiene registros.': 'The file contains no records.',
+  'No se pudo leer el archivo: {message}': 'Could not read the file: {message}',
+  'Leyendo archivo...': 'Reading file...',
+  'Arrastra aquí tu archivo': 'Drop your file here',
+  '{rows} filas · {columns} columnas': '{rows} rows · {columns} columns',
+  'CSV, XLSX o JSON de datos abiertos de Hacienda': 'CSV, XLSX or JSON open data from the Ministry of Finance',
+  'Selecciona una columna': 'Select a column',
+  'No usar': 'Do not use',
+  'Ejercicio fiscal del archivo': 'Fiscal year of the file',
+  'Falta mapear: {fields}': 'Still unmapped: {fields}',
+  'Mapeo completo': 'Mapping complete',
+  'CARGAR {count} REGISTROS': 'LOAD {count} RECORDS',
+
+  // Explorador
+  'Comparativo por {level}': 'Comparison by {level}',
+  'Ramo y UR': 'Branch and RU',
+  'Registros Detallados': 'Detailed Records',
+  'Conteos parciales: revisión de {count} de {total} registros cargados; al excluir inválidos los totales suman solo esos registros': 'Partial counts: review of {count} of {total} loaded records; excluding invalid records totals only those records',
+  'Solo entre los registros cargados': 'Only among the loaded records',
+  'La exclusión de registros inválidos se aplica solo a los registros cargados: los totales son parciales': 'Excluding invalid records applies only to the loaded records: totals are partial',
+  '{count} de {total} registros cargados · ramos, URs, montos y orden por monto en el servidor': '{count} of {total} records loaded · ramos, URs, amounts and amount sorting on the server',
+  '{count} de {total} registros cargados': '{count} of {total} records loaded',
+  'Datos parciales': 'Partial data',
+  'Error de autenticación: {message}': 'Authentication error: {message}',
+  'CARGAR MÁS': 'LOAD MORE',
+  'Los filtros que Firestore no resuelve (búsqueda por texto, rango de avance) se aplican solo a los registros cargados: los totales son parciales': 'Filters Firestore cannot resolve (text search, progress range) apply only to the loaded records: totals are partial',
+  'El filtro de comentarios se aplica solo a los registros cargados: los totales son parciales': 'The comments filter applies only to the loaded records: totals are partial',
+  'Las gráficas por grupo suman solo los registros cargados': 'Group charts add up only the loaded records',
+  'Tendencia, mapa, alertas y opciones de filtro usan solo los registros cargados': 'Trend, map, alerts and filter options use only the loaded records',
+  'Las opciones salen de los registros cargados': 'Options come from the loaded records',
+  'parcial': 'partial',
+  'Sin agregado precalculado del ejercicio: solo se listan los ramos de los registros cargados': 'No precomputed totals for the fiscal year: only the ramos of the loaded records are listed',
+  'Este orden no está disponible en colecciones grandes': 'This sort order is not available for large collections',
+  'Clasificación / Institución': 'Classification / Institution',
+  'NUEVO': 'NEW',
+  'Cargando más registros...': 'Loading more records...',
+  'antes:': 'before:',
+  'Δ Aprobado vs {year}': 'Δ Approved vs {year}',
+  'Δ% Aprobado vs {year}': 'Δ% Approved vs {year}',
+  'Δ Pagado vs {year}': 'Δ Paid vs {year}',
+  'Δ% Pagado vs {year}': 'Δ% Paid vs {year}',
+  'Avance vs {base} (%)': 'Progress vs {base} (%)',
+  'Avance {year} (%)': 'Progress {year} (%)',
+
+  // Momentos contables, jerarquía y campos de importación
+  'Aprobado': 'Approved',
+  'Modificado': 'Modified',
+  'Comprometido': 'Committed',
+  'Devengado': 'Accrued',
+  'Ejercido': 'Exercised',
+  'Pagado': 'Paid',
+  'Ramo': 'Branch',
+  'Unidad Responsable': 'Responsible Unit',
+  'Programa presupuestario': 'Budget program',
+  'Capítulo de gasto': 'Spending chapter',
+  'Concepto de gasto': 'Spending concept',
+  'Partida de gasto': 'Spending item',
+  'Monto aprobado': 'Approved amount',
+  'Monto modificado': 'Modified amount',
+  'Monto comprometido': 'Committed amount',
+  'Monto devengado': 'Accrued amount',
+  'Monto ejercido': 'Exercised amount',
+  'Monto pagado': 'Paid amount',
+  'Ciclo (año)': 'Cycle (year)',
+  'Calendario aprobado mensual': 'Monthly approved schedule',
+  'Pagado mensual': 'Monthly paid',
+
+  // Meses
+  'Ene': 'Jan',
+  'Feb': 'Feb',
+  'Mar': 'Mar',
+  'Abr': 'Apr',
+  'May': 'May',
+  'Jun': 'Jun',
+  'Jul': 'Jul',
+  'Ago': 'Aug',
+  'Sep': 'Sep',
+  'Oct': 'Oct',
+  'Nov': 'Nov',
+  'Dic': 'Dec',
+
+  // Alertas
+  'Alertas · {total} de {rows} filas': 'Alerts · {total} of {rows} rows',
+  'Reglas compartidas con el equipo': 'Rules shared with the team',
+  'Reglas solo en esta sesión': 'Rules for this session only',
+  'La edición requiere rol de analista': 'Editing requires the analyst role',
+  'NUEVA REGLA': 'NEW RULE',
+  'Tipo desconocido': 'Unknown type',
+  'Activa': 'Active',
+  'Editar regla': 'Edit rule',
+  'Eliminar regla': 'Delete rule',
+  'Nombre': 'Name',
+  'Condición': 'Condition',
+  'Severidad': 'Severity',
+  'Crítica': 'Critical',
+  'Advertencia': 'Warning',
+  'Informativa': 'Informational',
+  'Avance por debajo del umbral': 'Progress below threshold',
+  'Avance mínimo (%)': 'Minimum progress (%)',
+  'A partir del mes': 'Starting month',
+  'Avance < {threshold}% desde {month}': 'Progress < {threshold}% since {month}',
+  'Pagado mayor que aprobado': 'Paid greater than approved',
+  'Pagado > Aprobado': 'Paid > Approved',
+  'Sin movimiento': 'No movement',
+  'Aprobado sin compromisos ni pagos': 'Approved with no commitments or payments',
+  'Peso alto dentro del ramo': 'High weight within the branch',
+  'Participación mínima (%)': 'Minimum share (%)',
+  '≥ {threshold}% del aprobado del ramo': '≥ {threshold}% of the branch approved budget',
+  'Subejercicio a medio año': 'Mid-year underspending',
+  'Sobreejercicio': 'Overspending',
+  'Concentración en el ramo': 'Concentration within the branch',
+
+  // Proyección al cierre
+  'Lineal': 'Linear',
+  'Perfil estacional': 'Seasonal profile',
+  'El promedio mensual pagado se mantiene hasta diciembre': 'The average monthly payment holds through December',
+  'Los meses restantes siguen la forma del calendario aprobado': 'The remaining months follow the shape of the approved schedule',
+  'Proyección al cierre {year}': 'Year-end projection {year}',
+  'Pagos a {month}': 'Payments through {month}',
+  'Sin calendario mensual: se usa el ritmo lineal': 'No monthly schedule: the linear pace is used',
+  'Pagado proyectado': 'Projected paid',
+  'Pagado proyectado al cierre': 'Projected year-end paid',
+  'Avance proyectado vs {base}': 'Projected progress vs {base}',
+  'Avance proyectado vs {base} (%)': 'Projected progress vs {base} (%)',
+  'Subejercicio esperado': 'Expected underspending',
+  'Proyección por {level} (Top)': 'Projection by {level} (Top)',
+  'Escenario': 'Scenario',
+  'Sin escenario': 'No scenario',
+  'Ritmo de los meses restantes: {pace}%': 'Pace of the remaining months: {pace}%',
+  'QUITAR ESCENARIO': 'CLEAR SCENARIO',
+  'Cierre proyectado': 'Projected year-end',
+  'Subejercicio': 'Underspending',
+
+  // Tableros personalizables
+  'Tableros': 'Dashboards',
+  'Guardados en tu cuenta': 'Saved to your account',
+  'Guardados en este navegador': 'Saved in this browser',
+  'Aún no guardas tableros': 'No saved dashboards yet',
+  'PERSONALIZAR': 'CUSTOMIZE',
+  'LISTO': 'DONE',
+  'RESTABLECER': 'RESET',
+  'GUARDAR CAMBIOS': 'SAVE CHANGES',
+  'Nombre del tablero': 'Dashboard name',
+  'GUARDAR TABLERO': 'SAVE DASHBOARD',
+  'Barras': 'Bars',
+  'Pastel': 'Pie',
+  'Mapa': 'Map',
+  'Tabla': 'Table',
+  'Indicador': 'KPI',
+  '{metric} por {level} (Top {count})': '{metric} by {level} (Top {count})',
+  'Sin datos en la vista': 'No data in view',
+  'Tipo': 'Type',
+  'Métrica': 'Metric',
+  'Agrupar por': 'Group by',
+  'Nivel siguiente': 'Next level',
+  'Grupos': 'Groups',
+  'Top {count}': 'Top {count}',
+  'Mover antes': 'Move back',
+  'Mover después': 'Move forward',
+  'Ancho completo': 'Full width',
+  'Media anchura': 'Half width',
+  'Quitar widget': 'Remove widget',
+  'Comparación lado a lado': 'Side-by-side comparison',
+  'Fijar {level}...': 'Pin {level}...',
+  'Diferencia': 'Difference',
+  'Fija dos elementos para compararlos lado a lado': 'Pin two items to compare them side by side',
+
+  // Cambios desde la visita anterior
+  'Cambios desde {since}': 'Changes since {since}',
+  'la visita anterior': 'the previous visit',
+  'Los datos no han cambiado desde la visita anterior.': 'The data has not changed since the previous visit.',
+  'Montos modificados': 'Changed amounts',
+  'Registros nuevos': 'New records',
+  'Registros eliminados': 'Removed records',
+  'MARCAR COMO REVISADO': 'MARK AS REVIEWED',
+  'y {count} más': 'and {count} more',
+
+  // Comentarios
+  'Comentarios': 'Comments',
+  'Comentar': 'Comment',
+  'Resuelto': 'Resolved',
+  'Abierto': 'Open',
+  'resuelto': 'resolved',
+  'abierto': 'open',
+  'Sin comentarios': 'No comments',
+  '{count} comentario(s) · {status}': '{count} comment(s) · {status}',
+  'Aún no hay comentarios': 'No comments yet',
+  'Escribe un comentario...': 'Write a comment...',
+  'REABRIR': 'REOPEN',
+  'MARCAR RESUELTO': 'MARK RESOLVED',
+  'COMENTAR': 'COMMENT',
+  'Comentar requiere rol de analista': 'Commenting requires the analyst role',
+
+  // Calidad de datos
+  '{count} de {total} registros con problemas': '{count} of {total} records with issues',
+  'Excluir registros inválidos del análisis': 'Exclude invalid records from the analysis',
+  'Documentos': 'Documents',
+  'Sin registros con este problema': 'No records with this issue',
+  'copia de {id}': 'copy of {id}',
+  'Montos no numéricos': 'Non-numeric amounts',
+  'Aprobado o pagado vacío, o algún monto que no es número; se tomó como 0': 'Approved or paid is empty, or an amount is not a number; it was taken as 0',
+  'Montos negativos': 'Negative amounts',
+  'Algún momento contable con valor menor a cero': 'An accounting stage with a value below zero',
+  'Sin DESC_RAMO': 'Missing DESC_RAMO',
+  'Se muestran como "Sin clasificar"': 'Shown as "Sin clasificar" (unclassified)',
+  'Sin DESC_UR': 'Missing DESC_UR',
+  'Se muestran como "N/A"': 'Shown as "N/A"',
+  'Registros duplicados': 'Duplicate records',
+  'Misma clasificación y mismos montos que otro documento': 'Same classification and amounts as another document',
+  'Pagado mayor al aprobado': 'Paid greater than approved',
+  'El monto pagado excede el aprobado': 'The paid amount exceeds the approved amount',
+
+  // Preferencias de montos
+  'Unidad': 'Unit',
+  'Pesos': 'Pesos',
+  'Miles': 'Thousands',
+  'Millones': 'Millions',
+  'Mil millones': 'Billions',
+  'mil': 'K',
+  'mdp': 'M',
+  'mmdp': 'B',
+  'CORRIENTES': 'CURRENT',
+  'CONSTANTES': 'CONSTANT',
+  'Base {year}': 'Base {year}',
+  'pesos corrientes': 'current pesos',
+  'pesos constantes de {year}': 'constant {year} pesos',
+  '{unit} de {pesos}': '{unit} of {pesos}',
+  'INPC promedio anual (2Q jul 2018 = 100)': 'Annual average INPC (2nd half Jul 2018 = 100)',
+  'Años sin INPC, se usa el más cercano:': 'Years without INPC use the nearest one:',
+  'Sus montos constantes son una estimación hasta agregar su índice.': 'Their constant amounts are an estimate until their index is added.',
+  'INPC estimado para {years}': 'estimated CPI for {years}',
+
+  // Cuentas y roles
+  'Crear cuenta': 'Create account',
+  'Correo': 'Email',
+  'Contraseña': 'Password',
+  'ENTRAR': 'SIGN IN',
+  'CREAR CUENTA': 'CREATE ACCOUNT',
+  'CONTINUAR CON GOOGLE': 'CONTINUE WITH GOOGLE',
+  '¿No tienes cuenta?': "Don't have an account?",
+  '¿Ya tienes cuenta?': 'Already have an account?',
+  'Regístrate': 'Sign up',
+  'Inicia sesión': 'Sign in',
+  'Consulta': 'Viewer',
+  'Analista': 'Analyst',
+  'Administrador': 'Administrator',
+  'No puedes cambiar tu propio rol': 'You cannot change your own role',
+  'Aún no hay usuarios registrados': 'No registered users yet',
+  'El correo no es válido.': 'The email is not valid.',
+  'Correo o contraseña incorrectos.': 'Incorrect email or password.',
+  'No existe una cuenta con ese correo.': 'There is no account with that email.',
+  'Ya existe una cuenta con ese correo.': 'An account with that email already exists.',
+  'La contraseña debe tener al menos 6 caracteres.': 'The password must be at least 6 characters long.',
+  'Se cerró la ventana de Google antes de terminar.': 'The Google window was closed before finishing.',
+  'Este método de acceso no está habilitado en Firebase.': 'This sign-in method is not enabled in Firebase.',
+  'Demasiados intentos. Intenta de nuevo más tarde.': 'Too many attempts. Try again later.',
+  'No se pudo iniciar sesión: {message}': 'Could not sign in: {message}'
+};
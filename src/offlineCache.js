@@ -0,0 +1,103 @@
+/**
+ * Caché local en IndexedDB: la última instantánea de cada ejercicio (para
+ * detectar cambios entre visitas), los archivos importados, que así
+ * sobreviven a recargas sin conexión, y el último conteo de cada colección.
+ */
+
+const DB_NAME = 'dashboard-presupuesto';
+const DB_VERSION = 2;
+const SNAPSHOTS = 'snapshots';
+const DATASETS = 'datasets';
+const COUNTS = 'counts';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB no está disponible'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      // Las versiones anteriores ya pueden tener algunos almacenes
+      request.onupgradeneeded = () => {
+        [SNAPSHOTS, DATASETS, COUNTS].forEach(name => {
+          if (!request.result.objectStoreNames.contains(name)) request.result.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readValue = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key)).catch(() => undefined);
+const writeValue = (storeName, key, value) => runRequest(storeName, 'readwrite', store => store.put(value, key)).catch(err => {
+  console.error("Error al guardar en caché local:", err.message);
+});
+
+// Campos que se comparan entre instantáneas
+const SNAPSHOT_FIELDS = ['ramo', 'ur', 'aprobado', 'pagado'];
+
+export const toSnapshot = (key, records) => ({
+  key,
+  savedAt: Date.now(),
+  records: records.map(r => Object.fromEntries([['id', r.id], ...SNAPSHOT_FIELDS.map(f => [f, r[f]])]))
+});
+
+export const getSnapshotKey = (sourceType, year) => `${sourceType}:${year}`;
+
+export const loadSnapshot = async (key) => (await readValue(SNAPSHOTS, key)) || null;
+
+export const saveSnapshot = (snapshot) => writeValue(SNAPSHOTS, snapshot.key, snapshot);
+
+/**
+ * Diferencias entre la instantánea guardada y los registros actuales:
+ * `changed` indexa por id los montos anteriores de aprobado/pagado.
+ */
+export const diffSnapshots = (previous, records) => {
+  const before = new Map(previous.records.map(r => [r.id, r]));
+  const currentIds = new Set();
+  const changed = new Map();
+  const added = [];
+
+  records.forEach(r => {
+    currentIds.add(r.id);
+    const old = before.get(r.id);
+    if (!old) {
+      added.push(r);
+    } else if (old.aprobado !== r.aprobado || old.pagado !== r.pagado) {
+      changed.set(r.id, { aprobado: old.aprobado, pagado: old.pagado });
+    }
+  });
+  const removed = previous.records.filter(r => !currentIds.has(r.id));
+
+  return {
+    since: previous.savedAt,
+    changed,
+    added,
+    addedIds: new Set(added.map(r => r.id)),
+    removed,
+    total: changed.size + added.length + removed.length
+  };
+};
+
+export const loadLocalDatasets = async () => (await readValue(DATASETS, 'local')) || null;
+
+export const saveLocalDatasets = (datasets) => writeValue(DATASETS, 'local', datasets);
+
+// Último conteo de documentos por colección: decide el modo servidor sin esperar a la red
+export const loadCount = async (key) => (await readValue(COUNTS, key)) ?? null;
+
+export const saveCount = (key, count) => writeValue(COUNTS, key, count);
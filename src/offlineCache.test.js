@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { toSnapshot, diffSnapshots } from './offlineCache';
+
+const record = (id, aprobado, pagado, extra = {}) => ({ id, ramo: 'Salud', ur: 'IMSS', aprobado, pagado, avance: 0, ...extra });
+
+describe('diffSnapshots', () => {
+  const previous = toSnapshot('firestore:2024', [record('a', 100, 10), record('b', 200, 20), record('c', 300, 30)]);
+
+  it('separa montos cambiados, registros nuevos y eliminados', () => {
+    const diff = diffSnapshots(previous, [record('a', 100, 15), record('c', 300, 30), record('d', 50, 0)]);
+    expect(diff.since).toBe(previous.savedAt);
+    expect([...diff.changed]).toEqual([['a', { aprobado: 100, pagado: 10 }]]);
+    expect(diff.added.map(r => r.id)).toEqual(['d']);
+    expect([...diff.addedIds]).toEqual(['d']);
+    expect(diff.removed.map(r => r.id)).toEqual(['b']);
+    expect(diff.total).toBe(3);
+  });
+
+  it('solo compara aprobado y pagado', () => {
+    const diff = diffSnapshots(previous, [record('a', 100, 10, { ur: 'ISSSTE', avance: 50 }), record('b', 200, 20), record('c', 300, 30)]);
+    expect(diff.total).toBe(0);
+  });
+});
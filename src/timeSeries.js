@@ -0,0 +1,88 @@
+import { MONTHS } from './dataSources';
+import { getLevelValue } from './hierarchy';
+
+/**
+ * Series mensuales: calendario aprobado contra pagos, acumulados por mes.
+ */
+
+export const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+export const hasMonthlyData = (records) => records.some(r => r.calendario || r.pagadoMensual);
+
+// Suma mes a mes el campo mensual de un conjunto de registros
+export const sumMonthly = (records, field) => MONTHS.map((_, i) =>
+  records.reduce((acc, r) => acc + (r[field]?.[i] || 0), 0)
+);
+
+// Suma dos arreglos mensuales; se usa al agregar registros en filas de comparación
+export const addMonthly = (target, values) => {
+  if (!values) return target;
+  const base = target || MONTHS.map(() => 0);
+  return base.map((value, i) => value + (values[i] || 0));
+};
+
+export const accumulate = (values) => {
+  let running = 0;
+  return values.map(value => (running += value));
+};
+
+/**
+ * Último mes con pagos registrados (índice 0-11); -1 si no hay pagos mensuales.
+ */
+export const getCutoffMonth = (records) => {
+  const monthly = sumMonthly(records, 'pagadoMensual');
+  for (let i = monthly.length - 1; i >= 0; i--) {
+    if (monthly[i] !== 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Serie acumulada para gráficas de línea. Después del mes de corte el pagado
+ * queda en null para que la línea se detenga en lugar de aplanarse.
+ */
+export const buildTrendSeries = (records, cutoff = getCutoffMonth(records)) => {
+  const calendarizado = accumulate(sumMonthly(records, 'calendario'));
+  const pagado = accumulate(sumMonthly(records, 'pagadoMensual'));
+  return MONTH_LABELS.map((month, i) => ({
+    month,
+    calendarizado: calendarizado[i],
+    pagado: i <= cutoff ? pagado[i] : null
+  }));
+};
+
+/**
+ * Avance contra lo calendarizado al mes de corte, en lugar del total anual.
+ */
+export const computeCalendarProgress = (records, cutoff = getCutoffMonth(records)) => {
+  if (cutoff < 0) return null;
+  const calendarizado = sumMonthly(records, 'calendario').slice(0, cutoff + 1).reduce((a, b) => a + b, 0);
+  const pagado = sumMonthly(records, 'pagadoMensual').slice(0, cutoff + 1).reduce((a, b) => a + b, 0);
+  return {
+    cutoff,
+    calendarizado,
+    pagado,
+    porcentaje: calendarizado > 0 ? ((pagado / calendarizado) * 100).toFixed(1) : "0.0"
+  };
+};
+
+/**
+ * Series por grupo (cualquier nivel de la jerarquía), ordenadas por calendario anual descendente.
+ */
+export const groupTrends = (records, groupKey, limit) => {
+  const cutoff = getCutoffMonth(records);
+  const groups = records.reduce((acc, r) => {
+    const key = getLevelValue(r, groupKey);
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(r);
+    return acc;
+  }, {});
+  return Object.entries(groups)
+    .map(([name, items]) => {
+      const series = buildTrendSeries(items, cutoff);
+      const progress = computeCalendarProgress(items, cutoff);
+      return { name, series, total: series[series.length - 1].calendarizado, porcentaje: progress?.porcentaje ?? null };
+    })
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+};
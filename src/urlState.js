@@ -0,0 +1,95 @@
+import { BUDGET_STAGES, AVANCE_BASES } from './dataSources';
+import { HIERARCHY } from './hierarchy';
+import { EMPTY_FILTERS, parseFilterParams, appendFilterParams, countActiveFilters } from './filters';
+
+/**
+ * Estado de la vista serializado en el hash de la URL (#view=table&ramo=...).
+ * Se usa el hash para que los enlaces funcionen en GitHub Pages sin reescrituras
+ * del servidor.
+ */
+
+export const VIEWS = ['dashboard', 'trend', 'treemap', 'table', 'quality'];
+export const SORT_KEYS = ['ramo', ...BUDGET_STAGES.map(stage => stage.key), 'avance', 'proyectado', 'subejercicio', 'deltaAprobado', 'deltaPagado'];
+
+export const DEFAULT_VIEW_STATE = {
+  view: 'dashboard',
+  year: null,
+  compareYear: null,
+  path: [],
+  pathLevels: [],
+  filters: EMPTY_FILTERS,
+  sortKey: 'ramo',
+  sortDirection: 'asc',
+  avanceBase: 'aprobado',
+  excludeInvalid: false
+};
+
+// Nombre del parámetro en la URL para cada campo del estado. La ruta de
+// exploración usa un parámetro por nivel (ramo, ur, programa, ...), así que
+// los niveles saltados (sin datos) simplemente no aparecen.
+const PARAMS = {
+  view: 'view',
+  year: 'year',
+  compareYear: 'vs',
+  sortKey: 'sort',
+  sortDirection: 'dir',
+  avanceBase: 'base',
+  excludeInvalid: 'validos'
+};
+
+/**
+ * Lee el hash y devuelve solo los campos válidos; la ruta de exploración se
+ * valida después contra los datos cargados.
+ */
+export const parseViewState = (hash, { years }) => {
+  const params = new URLSearchParams(String(hash).replace(/^#\/?\??/, ''));
+  const state = {};
+
+  const view = params.get(PARAMS.view);
+  if (VIEWS.includes(view)) state.view = view;
+
+  const year = Number(params.get(PARAMS.year));
+  if (years.includes(year)) state.year = year;
+
+  const compareYear = Number(params.get(PARAMS.compareYear));
+  if (years.includes(compareYear) && compareYear !== (state.year ?? years[0])) state.compareYear = compareYear;
+
+  // Sin ramo no hay ruta; los demás niveles pueden faltar si no tienen datos
+  const levels = params.get('ramo') ? HIERARCHY.filter(level => params.get(level.key)) : [];
+  if (levels.length) {
+    state.path = levels.map(level => params.get(level.key));
+    state.pathLevels = levels.map(level => level.key);
+  }
+
+  const filters = parseFilterParams(params);
+  if (countActiveFilters(filters) > 0) state.filters = filters;
+
+  // Las columnas de variación solo existen en modo comparación
+  const sortKey = params.get(PARAMS.sortKey);
+  if (SORT_KEYS.includes(sortKey) && (state.compareYear || !sortKey.startsWith('delta'))) state.sortKey = sortKey;
+
+  const sortDirection = params.get(PARAMS.sortDirection);
+  if (sortDirection === 'asc' || sortDirection === 'desc') state.sortDirection = sortDirection;
+
+  const avanceBase = params.get(PARAMS.avanceBase);
+  if (AVANCE_BASES.includes(avanceBase)) state.avanceBase = avanceBase;
+
+  if (params.get(PARAMS.excludeInvalid) === 'true') state.excludeInvalid = true;
+
+  return state;
+};
+
+/**
+ * Serializa el estado omitiendo los valores por defecto para mantener enlaces cortos.
+ */
+export const serializeViewState = (state, defaults) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    const value = state[field];
+    if (value === null || value === undefined || value === defaults[field]) return;
+    params.set(param, value);
+  });
+  (state.path || []).forEach((value, i) => params.set(state.pathLevels[i], value));
+  appendFilterParams(params, state.filters);
+  return params.toString();
+};
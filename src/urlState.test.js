@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_VIEW_STATE, parseViewState, serializeViewState } from './urlState';
+import { EMPTY_FILTERS } from './filters';
+
+const years = [2025, 2024, 2023];
+const defaults = { ...DEFAULT_VIEW_STATE, year: 2025 };
+
+describe('serializeViewState / parseViewState', () => {
+  it('omite los valores por defecto', () => {
+    expect(serializeViewState(defaults, defaults)).toBe('');
+  });
+
+  it('recupera la vista, los años, la ruta, el orden y los filtros', () => {
+    const state = {
+      ...defaults,
+      view: 'table',
+      year: 2024,
+      compareYear: 2023,
+      path: ['Educación Pública', 'SEP'],
+      pathLevels: ['ramo', 'ur'],
+      filters: { ...EMPTY_FILTERS, query: 'becas', ramos: ['Salud'], ranges: { aprobado: { min: 10, max: null } } },
+      sortKey: 'deltaPagado',
+      sortDirection: 'desc',
+      avanceBase: 'modificado',
+      excludeInvalid: true
+    };
+    const parsed = parseViewState(`#${serializeViewState(state, defaults)}`, { years });
+    expect(parsed).toEqual({
+      view: 'table',
+      year: 2024,
+      compareYear: 2023,
+      path: ['Educación Pública', 'SEP'],
+      pathLevels: ['ramo', 'ur'],
+      filters: state.filters,
+      sortKey: 'deltaPagado',
+      sortDirection: 'desc',
+      avanceBase: 'modificado',
+      excludeInvalid: true
+    });
+  });
+
+  it('conserva los niveles saltados de la ruta', () => {
+    const state = { ...defaults, path: ['Salud', 'Vacunación'], pathLevels: ['ramo', 'programa'] };
+    const parsed = parseViewState(serializeViewState(state, defaults), { years });
+    expect(parsed.path).toEqual(['Salud', 'Vacunación']);
+    expect(parsed.pathLevels).toEqual(['ramo', 'programa']);
+  });
+
+  it('descarta valores inválidos', () => {
+    expect(parseViewState('#view=otra&year=1999&vs=2025&sort=deltaPagado&dir=arriba&base=pagado&ur=SEP', { years })).toEqual({});
+  });
+});
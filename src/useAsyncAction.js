@@ -0,0 +1,32 @@
+import { useState, useCallback } from 'react';
+
+/**
+ * Ejecuta escrituras asíncronas de un panel: marca `busy` mientras corren y
+ * deja su error a la vista en lugar de perderlo. `run` resuelve `true` si la
+ * acción terminó bien, para encadenar limpiezas (vaciar un campo, cerrar).
+ * `describeError` convierte el error en el texto a mostrar.
+ */
+const useAsyncAction = (describeError = (err) => err.message) => {
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const run = useCallback(async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(describeError(err));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }, [describeError]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { error, busy, run, clearError };
+};
+
+export default useAsyncAction;
@@ -0,0 +1,69 @@
+import { useState, useRef, useCallback, useEffect, useLayoutEffect } from 'react';
+
+/**
+ * Virtualización de filas de tabla: solo se montan las filas visibles dentro del
+ * contenedor con scroll, más un margen (`overscan`). La altura por fila se
+ * estima y se ajusta con el promedio medido de las filas renderizadas; ambas
+ * medidas se repiten cuando cambia el tamaño del contenedor.
+ */
+const useVirtualRows = (count, { estimatedHeight = 120, overscan = 8, onEndReached } = {}) => {
+  const containerRef = useRef(null);
+  const bodyRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(800);
+  const [rowHeight, setRowHeight] = useState(estimatedHeight);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+    setViewportHeight(e.currentTarget.clientHeight);
+  }, []);
+
+  // Promedio de las filas montadas (sin contar los espaciadores). Fuera de los cambios
+  // de tamaño se mide una sola vez para que la altura no oscile al desplazarse
+  const measuredRef = useRef(false);
+  const measureRows = useCallback(() => {
+    const rows = bodyRef.current?.querySelectorAll('tr[data-row]');
+    if (!rows || rows.length === 0) return;
+    measuredRef.current = true;
+    const measured = Array.from(rows).reduce((acc, row) => acc + row.getBoundingClientRect().height, 0) / rows.length;
+    if (measured > 0) setRowHeight(measured);
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!measuredRef.current) measureRows();
+  });
+
+  // Alto visible al montar y en cada cambio de tamaño (ventana, diseño, fuentes)
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => {
+      setViewportHeight(container.clientHeight);
+      measureRows();
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [measureRows]);
+
+  // Al acercarse al final se pide la siguiente página, si la hay
+  useLayoutEffect(() => {
+    if (onEndReached && count > 0 && end >= count) onEndReached();
+  }, [end, count, onEndReached]);
+
+  return {
+    containerRef,
+    bodyRef,
+    onScroll,
+    start,
+    end,
+    padTop: start * rowHeight,
+    padBottom: (count - end) * rowHeight
+  };
+};
+
+export default useVirtualRows;
@@ -0,0 +1,46 @@
+import { collection, doc, onSnapshot, setDoc, deleteDoc } from 'firebase/firestore';
+
+/**
+ * Colecciones propias de cada usuario (filtros guardados, tableros). Con
+ * Firebase viven en `artifacts/{appId}/users/{uid}/{collectionName}`; sin
+ * proyecto, en el navegador. Ambos almacenes exponen `subscribe`, `save` y
+ * `remove`, y pasan cada elemento leído por `normalize` para que los guardados
+ * con versiones anteriores lleguen completos.
+ */
+export const createFirestoreUserStore = (db, appId, uid, collectionName, normalize = (item) => item) => {
+  const itemsPath = collection(db, 'artifacts', appId, 'users', uid, collectionName);
+  return {
+    type: 'firestore',
+    subscribe: (onItems, onError) => onSnapshot(itemsPath,
+      (snapshot) => onItems(snapshot.docs.map(d => normalize({ ...d.data(), id: d.id }))),
+      onError
+    ),
+    save: (item) => setDoc(doc(itemsPath, item.id), item),
+    remove: (id) => deleteDoc(doc(itemsPath, id))
+  };
+};
+
+export const createLocalUserStore = (storageKey, normalize = (item) => item) => {
+  const listeners = new Set();
+  const read = () => {
+    try {
+      return (JSON.parse(window.localStorage.getItem(storageKey)) || []).map(normalize);
+    } catch (err) {
+      return [];
+    }
+  };
+  const write = (items) => {
+    window.localStorage.setItem(storageKey, JSON.stringify(items));
+    listeners.forEach(listener => listener(items));
+  };
+  return {
+    type: 'local',
+    subscribe: (onItems) => {
+      listeners.add(onItems);
+      onItems(read());
+      return () => listeners.delete(onItems);
+    },
+    save: async (item) => write([...read().filter(i => i.id !== item.id), item]),
+    remove: async (id) => write(read().filter(i => i.id !== id))
+  };
+};